@@ -1,88 +1,20 @@
 const puppeteer = require('puppeteer-core');
 const fs = require('fs');
 const path = require('path');
-const { PDFDocument, StandardFonts, rgb, PDFName, PDFArray } = require('pdf-lib');
+const crypto = require('crypto');
+const axios = require('axios');
+const { marked } = require('marked');
+const zlib = require('zlib');
+const {
+    PDFDocument, StandardFonts, rgb, PDFName, PDFArray, PDFDict, PDFRef, PDFHexString, PDFString,
+    PDFNull, PDFRawStream, PDFOperator, PDFOperatorNames, decodePDFRawStream, beginMarkedContent, endMarkedContent
+} = require('pdf-lib');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const cleanup = require('./cleanup');
+const { version: EXPORTER_VERSION } = require('./package.json');
 
-// Parse command line arguments
-const argv = yargs(hideBin(process.argv))
-    .option('config', {
-        alias: 'c',
-        type: 'string',
-        description: 'Path to config file',
-        default: './config.json'
-    })
-    .option('url', {
-        alias: 'u',
-        type: 'string',
-        description: 'Full page URL (includes base and path)'
-    })
-    .option('email', {
-        alias: 'e',
-        type: 'string',
-        description: 'Email for login'
-    })
-    .option('password', {
-        alias: 'p',
-        type: 'string',
-        description: 'Password for login'
-    })
-    .option('article', {
-        alias: 'a',
-        type: 'string',
-        description: 'Path to the article'
-    })
-    .option('output', {
-        alias: 'o',
-        type: 'string',
-        description: 'Output directory'
-    })
-    .option('base', {
-        alias: 'b',
-        type: 'string',
-        description: 'Base wiki URL'
-    })
-    .option('apikey', {
-        alias: 'k',
-        type: 'string',
-        description: 'Wiki.js API key (Bearer token)'
-    })
-    .option('login-path', {
-        type: 'string',
-        description: 'Login path override'
-    })
-    .option('skip-login', {
-        type: 'boolean',
-        description: 'Skip login step and open article directly',
-        default: false
-    })
-    .option('pdf-name', {
-        type: 'string',
-        description: 'Output PDF filename override'
-    })
-    .option('headless', {
-        type: 'boolean',
-        description: 'Run Chromium in headless mode',
-        default: false
-    })
-    .option('timeout', {
-        type: 'number',
-        description: 'Navigation timeout in milliseconds'
-    })
-    .option('font-size', {
-        type: 'number',
-        description: 'Override base body font size (px) for PDF rendering'
-    })
-    .option('footnote-font-size', {
-        type: 'number',
-        description: 'Footnote font size in pt (default: 8)'
-    })
-    .help()
-    .argv;
-
-// Load and merge configuration
+// Default exporter settings, shared by the CLI and in-process callers (export-all)
 const defaultConfig = {
     baseUrl: '',
     loginPath: '/login',
@@ -93,101 +25,2023 @@ const defaultConfig = {
     headless: false,
     skipLogin: false,
     fontSize: null,
-    footnoteFontSize: 8
+    footnoteFontSize: 8,
+    coverEnabled: true,
+    tocEnabled: true,
+    tocDepth: 2,
+    tocTitle: '',
+    pageFormat: 'A4',
+    orientation: 'portrait',
+    margins: { top: 20, right: 10, bottom: 10, left: 10 },
+    logoPath: null,
+    headerTemplate: null,
+    footerTemplate: null,
+    coverHeaderTemplate: null,
+    coverFooterTemplate: null,
+    linkPolicy: [],
+    linkToPdfs: false,
+    archiveFormats: [],
+    outputFormat: 'pdf',
+    contentSource: 'site',
+    pageId: null,
+    versionId: null,
+    asOf: null,
+    pdfa: false,
+    tagged: false
+};
+
+const OUTPUT_FORMATS = ['pdf', 'epub'];
+
+// Portrait paper sizes in millimetres; names match Puppeteer's `format` values.
+const PAGE_FORMATS_MM = {
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    Letter: [215.9, 279.4],
+    Legal: [215.9, 355.6],
+    Tabloid: [279.4, 431.8]
+};
+
+const LENGTH_UNITS_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, px: 25.4 / 96 };
+
+// Numbers are millimetres; strings may carry a unit ("2cm", "0.5in", "15mm").
+function parseLengthMm(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(mm|cm|in|pt|px)?$/);
+    if (!match) return null;
+    return Number(match[1]) * LENGTH_UNITS_MM[match[2] || 'mm'];
+}
+
+// Accepts { top, right, bottom, left }, a single length, or a CSS-style shorthand
+// string with 1, 2 or 4 values ("20 10", "2cm 1cm 1cm 1cm").
+function normalizePageMargins(value) {
+    const defaults = defaultConfig.margins;
+    if (value === undefined || value === null || value === '') return { ...defaults };
+
+    let sides;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+        sides = { ...defaults, ...value };
+    } else {
+        const parts = typeof value === 'number' ? [value] : String(value).trim().split(/[\s,]+/);
+        if (parts.length === 1) sides = { top: parts[0], right: parts[0], bottom: parts[0], left: parts[0] };
+        else if (parts.length === 2) sides = { top: parts[0], right: parts[1], bottom: parts[0], left: parts[1] };
+        else if (parts.length === 4) sides = { top: parts[0], right: parts[1], bottom: parts[2], left: parts[3] };
+        else throw new Error(`Invalid margins "${value}". Use 1, 2 or 4 values.`);
+    }
+
+    const margins = {};
+    ['top', 'right', 'bottom', 'left'].forEach(side => {
+        const parsed = parseLengthMm(sides[side]);
+        if (parsed === null) throw new Error(`Invalid ${side} margin "${sides[side]}".`);
+        margins[side] = parsed;
+    });
+    return margins;
+}
+
+// Page size and margins (all in millimetres) used by every layout step of savePdf.
+function resolvePageGeometry(config) {
+    const [portraitWidthMm, portraitHeightMm] = PAGE_FORMATS_MM[config.pageFormat] || PAGE_FORMATS_MM.A4;
+    const landscape = config.orientation === 'landscape';
+    const widthMm = landscape ? portraitHeightMm : portraitWidthMm;
+    const heightMm = landscape ? portraitWidthMm : portraitHeightMm;
+    return {
+        format: config.pageFormat,
+        landscape,
+        widthMm,
+        heightMm,
+        cssSize: `${widthMm}mm ${heightMm}mm`,
+        margins: config.margins
+    };
+}
+
+// Parse command line arguments
+function parseCliArgs(rawArgs) {
+    return yargs(rawArgs)
+        // --version selects a page revision, so yargs' own --version flag is off.
+        .version(false)
+        .option('config', {
+            alias: 'c',
+            type: 'string',
+            description: 'Path to config file',
+            default: './config.json'
+        })
+        .option('url', {
+            alias: 'u',
+            type: 'string',
+            description: 'Full page URL (includes base and path)'
+        })
+        .option('email', {
+            alias: 'e',
+            type: 'string',
+            description: 'Email for login'
+        })
+        .option('password', {
+            alias: 'p',
+            type: 'string',
+            description: 'Password for login'
+        })
+        .option('article', {
+            alias: 'a',
+            type: 'string',
+            description: 'Path to the article'
+        })
+        .option('output', {
+            alias: 'o',
+            type: 'string',
+            description: 'Output directory'
+        })
+        .option('base', {
+            alias: 'b',
+            type: 'string',
+            description: 'Base wiki URL'
+        })
+        .option('apikey', {
+            alias: 'k',
+            type: 'string',
+            description: 'Wiki.js API key (Bearer token)'
+        })
+        .option('login-path', {
+            type: 'string',
+            description: 'Login path override'
+        })
+        .option('skip-login', {
+            type: 'boolean',
+            description: 'Skip login step and open article directly',
+            default: false
+        })
+        .option('pdf-name', {
+            type: 'string',
+            description: 'Output file name override (.pdf, or .epub with --format epub)'
+        })
+        .option('headless', {
+            type: 'boolean',
+            description: 'Run Chromium in headless mode',
+            default: false
+        })
+        .option('timeout', {
+            type: 'number',
+            description: 'Navigation timeout in milliseconds'
+        })
+        .option('font-size', {
+            type: 'number',
+            description: 'Override base body font size (px) for PDF rendering'
+        })
+        .option('footnote-font-size', {
+            type: 'number',
+            description: 'Footnote font size in pt (default: 8)'
+        })
+        .option('toc-depth', {
+            type: 'number',
+            description: 'Deepest heading level listed in the table of contents, 1-6 (default: 2)'
+        })
+        .option('toc-title', {
+            type: 'string',
+            description: 'Title printed above the table of contents'
+        })
+        .option('toc', {
+            type: 'boolean',
+            description: 'Generate the table of contents page (use --no-toc to disable)'
+        })
+        .option('cover', {
+            type: 'boolean',
+            description: 'Generate the cover page (use --no-cover to disable)'
+        })
+        .option('page-format', {
+            type: 'string',
+            description: `Paper size: ${Object.keys(PAGE_FORMATS_MM).join(', ')} (default: A4)`
+        })
+        .option('orientation', {
+            type: 'string',
+            choices: ['portrait', 'landscape'],
+            description: 'Page orientation (default: portrait)'
+        })
+        .option('margins', {
+            type: 'string',
+            description: 'Page margins as "top right bottom left", numbers in mm or with a unit (default: "20 10 10 10")'
+        })
+        .option('logo', {
+            type: 'string',
+            description: 'Header logo image (svg, png, jpg, gif, webp); pass "" for no logo'
+        })
+        .option('header-template', {
+            type: 'string',
+            description: 'Header HTML or path to an .html file, with {{title}}, {{pageNumber}}, ... placeholders'
+        })
+        .option('footer-template', {
+            type: 'string',
+            description: 'Footer HTML or path to an .html file, with {{title}}, {{pageNumber}}, ... placeholders'
+        })
+        .option('cover-header-template', {
+            type: 'string',
+            description: 'Header HTML (or .html file) used on the cover page only'
+        })
+        .option('cover-footer-template', {
+            type: 'string',
+            description: 'Footer HTML (or .html file) used on the cover page only'
+        })
+        .option('format', {
+            type: 'string',
+            choices: OUTPUT_FORMATS,
+            description: 'Output format: pdf (default) or epub (reflowable EPUB 3 for tablets and e-readers)'
+        })
+        .option('content-source', {
+            type: 'string',
+            choices: CONTENT_SOURCES,
+            description: 'Where the article comes from: site (open the wiki page, default) or graphql (page source via the API, no wiki UI)'
+        })
+        .option('page-id', {
+            type: 'number',
+            description: 'Wiki.js page id used by --content-source graphql (default: look the page up by path)'
+        })
+        .option('version', {
+            type: 'number',
+            description: 'Render this Wiki.js history version of the page instead of the current one'
+        })
+        .option('as-of', {
+            type: 'string',
+            description: 'Render the page as it was at this date or time (ISO 8601, e.g. 2024-03-31)'
+        })
+        .option('pdfa', {
+            type: 'boolean',
+            description: 'Write PDF/A-2b for long-term archiving (sRGB output intent, XMP, forbidden features stripped and checked)'
+        })
+        .option('tagged', {
+            type: 'boolean',
+            description: 'Accessible tagged PDF (PDF/UA): keep the structure tree through post-processing and check it'
+        })
+        .option('user-password-env', {
+            type: 'string',
+            description: 'Environment variable with the password needed to open the PDF'
+        })
+        .option('owner-password-env', {
+            type: 'string',
+            description: 'Environment variable with the password that lifts the restrictions (default: random)'
+        })
+        .option('deny', {
+            type: 'string',
+            array: true,
+            choices: ENCRYPTION_PERMISSIONS,
+            description: 'Restrict the encrypted PDF: print, copy, edit (repeatable)'
+        })
+        .option('archive', {
+            type: 'string',
+            array: true,
+            description: `Also save an offline copy next to the PDF: ${ARCHIVE_FORMATS.join(', ')} (repeatable)`
+        })
+        .option('pdf-link-map', {
+            type: 'string',
+            description: 'JSON file mapping wiki paths to sibling PDFs for cross-page links (used by export-all)'
+        })
+        .option('page-meta', {
+            type: 'string',
+            description: 'JSON with title, path, updatedAt and locale of the page for header/footer templates (used by export-all)'
+        })
+        .option('dependency-file', {
+            type: 'string',
+            description: 'Write the wiki assets and pages the export loaded to this JSON file (used by export-all)'
+        })
+        .option('work-dir', {
+            type: 'string',
+            description: 'Directory for temporary HTML/resources (default: output directory)'
+        })
+        .help()
+        .argv;
+}
+
+// Apply defaults and type normalization to a merged exporter config.
+// Used both by the CLI below and by export-all when it renders pages in-process.
+function normalizeExporterConfig(rawConfig) {
+    const source = rawConfig || {};
+    const config = {
+        ...defaultConfig,
+        ...source,
+        credentials: {
+            ...(defaultConfig.credentials || {}),
+            ...((source && source.credentials) || {})
+        }
+    };
+
+    if (typeof config.baseUrl === 'string') {
+        config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    }
+    if (typeof config.articlePath === 'string' && config.articlePath && !config.articlePath.startsWith('/')) {
+        config.articlePath = `/${config.articlePath}`;
+    }
+
+    if (!config.loginPath) config.loginPath = '/login';
+    if (!config.credentials || typeof config.credentials !== 'object') config.credentials = {};
+    if (!Number.isFinite(config.timeout) || config.timeout <= 0) config.timeout = defaultConfig.timeout;
+    if (typeof config.headless !== 'boolean') config.headless = false;
+    if (typeof config.skipLogin !== 'boolean') config.skipLogin = false;
+    const parsedFontSize = Number(config.fontSize);
+    config.fontSize = Number.isFinite(parsedFontSize) && parsedFontSize > 0 ? parsedFontSize : null;
+    const parsedFootnoteFontSize = Number(config.footnoteFontSize);
+    config.footnoteFontSize = Number.isFinite(parsedFootnoteFontSize) && parsedFootnoteFontSize > 0
+        ? parsedFootnoteFontSize
+        : defaultConfig.footnoteFontSize;
+    const parsedTocDepth = Math.floor(Number(config.tocDepth));
+    config.tocDepth = Number.isFinite(parsedTocDepth) && parsedTocDepth >= 1
+        ? Math.min(6, parsedTocDepth)
+        : defaultConfig.tocDepth;
+    config.tocTitle = typeof config.tocTitle === 'string' ? config.tocTitle.trim() : '';
+    config.tocEnabled = config.tocEnabled !== false;
+    config.coverEnabled = config.coverEnabled !== false;
+
+    const formatName = Object.keys(PAGE_FORMATS_MM)
+        .find(name => name.toLowerCase() === String(config.pageFormat || '').trim().toLowerCase());
+    if (!formatName) {
+        throw new Error(`Unknown page format "${config.pageFormat}". Use one of: ${Object.keys(PAGE_FORMATS_MM).join(', ')}`);
+    }
+    config.pageFormat = formatName;
+    config.orientation = String(config.orientation || defaultConfig.orientation).trim().toLowerCase();
+    if (config.orientation !== 'portrait' && config.orientation !== 'landscape') {
+        throw new Error(`Unknown orientation "${config.orientation}". Use portrait or landscape.`);
+    }
+    config.margins = normalizePageMargins(config.margins);
+    config.linkPolicy = normalizeLinkPolicy(config.linkPolicy);
+    config.archiveFormats = normalizeArchiveFormats(config.archiveFormats);
+    config.outputFormat = String(config.outputFormat || defaultConfig.outputFormat).trim().toLowerCase();
+    if (!OUTPUT_FORMATS.includes(config.outputFormat)) {
+        throw new Error(`Unknown output format "${config.outputFormat}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    config.contentSource = String(config.contentSource || defaultConfig.contentSource).trim().toLowerCase();
+    if (!CONTENT_SOURCES.includes(config.contentSource)) {
+        throw new Error(`Unknown content source "${config.contentSource}". Use one of: ${CONTENT_SOURCES.join(', ')}`);
+    }
+    config.pdfa = config.pdfa === true;
+    config.tagged = config.tagged === true;
+    config.encryption = normalizeEncryptionRules(config.encryption);
+    if (config.pdfa && config.encryption.length > 0) {
+        throw new Error('PDF/A does not allow encryption; drop pdfa (--pdfa) or the encryption settings.');
+    }
+    if (config.outputFormat === 'epub' && config.encryption.length > 0) {
+        // Writing the pages unprotected would leak what the rules are meant to protect.
+        throw new Error('EPUB output cannot be encrypted; use the PDF format or drop the encryption settings.');
+    }
+    config.versionId = normalizeVersionId(config.versionId);
+    config.asOf = normalizeAsOf(config.asOf);
+    if (config.versionId && config.asOf) {
+        throw new Error('Use either versionId (--version) or asOf (--as-of), not both.');
+    }
+    if (config.versionId || config.asOf) {
+        // Earlier revisions only exist as page source, the wiki UI shows the current one.
+        config.contentSource = 'graphql';
+    }
+
+    return config;
+}
+
+function normalizeVersionId(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const versionId = Number(value);
+    if (!Number.isInteger(versionId) || versionId <= 0) {
+        throw new Error(`Invalid page version "${value}". Use a Wiki.js history version id.`);
+    }
+    return versionId;
+}
+
+// A bare date means the end of that day (UTC), so edits made on the date are included.
+function normalizeAsOf(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+    const parsed = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+    if (Number.isNaN(parsed.getTime())) {
+        throw new Error(`Invalid as-of date "${value}". Use an ISO 8601 date or date-time.`);
+    }
+    return parsed.toISOString();
+}
+
+// Load and merge configuration for a standalone CLI run
+function loadCliConfig(argv) {
+    let fileConfig = {};
+    if (argv.config && fs.existsSync(argv.config)) {
+        try {
+            fileConfig = resolveSettingPaths(
+                JSON.parse(fs.readFileSync(argv.config, 'utf8')),
+                path.dirname(path.resolve(argv.config))
+            );
+        } catch (error) {
+            console.error('Error loading config file:', error.message);
+            process.exit(1);
+        }
+    } else if (argv.config && argv.config !== './config.json') {
+        console.error('Config file not found:', argv.config);
+        process.exit(1);
+    }
+
+    let config = {
+        ...defaultConfig,
+        ...fileConfig,
+        credentials: {
+            ...(defaultConfig.credentials || {}),
+            ...((fileConfig && fileConfig.credentials) || {})
+        }
+    };
+
+    // Override config with command line arguments
+    if (argv.url) config.pageUrl = argv.url;
+    if (argv.base) config.baseUrl = argv.base;
+    if (argv.email) config.credentials.email = argv.email;
+    if (argv.password) config.credentials.password = argv.password;
+    if (argv.article) config.articlePath = argv.article;
+    if (argv.output) config.outputDir = argv.output;
+    if (argv.apikey) config.apiKey = argv.apikey;
+    if (typeof argv.loginPath === 'string') config.loginPath = argv.loginPath;
+    if (argv.skipLogin) config.skipLogin = true;
+    if (typeof argv.pdfName === 'string') config.pdfName = argv.pdfName;
+    if (typeof argv.headless === 'boolean') config.headless = argv.headless;
+    if (typeof argv.timeout === 'number' && Number.isFinite(argv.timeout) && argv.timeout > 0) {
+        config.timeout = argv.timeout;
+    }
+    if (typeof argv.fontSize === 'number') config.fontSize = argv.fontSize;
+    if (typeof argv.footnoteFontSize === 'number') config.footnoteFontSize = argv.footnoteFontSize;
+    if (typeof argv.tocDepth === 'number') config.tocDepth = argv.tocDepth;
+    if (typeof argv.tocTitle === 'string') config.tocTitle = argv.tocTitle;
+    if (typeof argv.toc === 'boolean') config.tocEnabled = argv.toc;
+    if (typeof argv.cover === 'boolean') config.coverEnabled = argv.cover;
+    if (typeof argv.pageFormat === 'string') config.pageFormat = argv.pageFormat;
+    if (typeof argv.orientation === 'string') config.orientation = argv.orientation;
+    if (typeof argv.margins === 'string') config.margins = argv.margins;
+    if (typeof argv.logo === 'string') config.logoPath = argv.logo;
+    if (typeof argv.headerTemplate === 'string') config.headerTemplate = argv.headerTemplate;
+    if (typeof argv.footerTemplate === 'string') config.footerTemplate = argv.footerTemplate;
+    if (typeof argv.coverHeaderTemplate === 'string') config.coverHeaderTemplate = argv.coverHeaderTemplate;
+    if (typeof argv.coverFooterTemplate === 'string') config.coverFooterTemplate = argv.coverFooterTemplate;
+    if (typeof argv.format === 'string') config.outputFormat = argv.format;
+    if (typeof argv.contentSource === 'string') config.contentSource = argv.contentSource;
+    if (typeof argv.pageId === 'number') config.pageId = argv.pageId;
+    if (typeof argv.version === 'number') config.versionId = argv.version;
+    if (typeof argv.asOf === 'string') config.asOf = argv.asOf;
+    if (typeof argv.pdfa === 'boolean') config.pdfa = argv.pdfa;
+    if (typeof argv.tagged === 'boolean') config.tagged = argv.tagged;
+    const cliEncryptionRule = buildCliEncryptionRule(argv);
+    if (cliEncryptionRule) {
+        config.encryption = [cliEncryptionRule, ...normalizeEncryptionRules(config.encryption)];
+    }
+    if (Array.isArray(argv.archive) && argv.archive.length > 0) config.archiveFormats = argv.archive;
+    if (typeof argv.pdfLinkMap === 'string' && argv.pdfLinkMap) {
+        try {
+            config.pdfLinkMap = JSON.parse(fs.readFileSync(argv.pdfLinkMap, 'utf8'));
+        } catch (error) {
+            console.error('Error loading --pdf-link-map file:', error.message);
+            process.exit(1);
+        }
+    }
+    if (typeof argv.pageMeta === 'string') {
+        try {
+            config.pageMeta = JSON.parse(argv.pageMeta);
+        } catch (error) {
+            console.error('Invalid --page-meta JSON:', error.message);
+            process.exit(1);
+        }
+    }
+    if (typeof argv.workDir === 'string' && argv.workDir) config.workDir = argv.workDir;
+    if (typeof argv.dependencyFile === 'string' && argv.dependencyFile) config.dependencyFile = argv.dependencyFile;
+
+    // Derive baseUrl/articlePath from pageUrl only when explicit base/article are not provided.
+    // This prevents export-all from being overwritten by a single-page URL stored in config.json.
+    const hasExplicitBaseOrArticle = Boolean(argv.base || argv.article);
+    const shouldDeriveFromPageUrl = Boolean(config && config.pageUrl && (argv.url || !hasExplicitBaseOrArticle));
+    if (shouldDeriveFromPageUrl) {
+        try {
+            const u = new URL(config.pageUrl);
+            config.baseUrl = u.origin;
+            // keep query string to support dynamic pages
+            config.articlePath = u.pathname + (u.search || '');
+            // Ensure a default loginPath if missing
+            if (!config.loginPath) config.loginPath = '/login';
+        } catch (e) {
+            console.error('Invalid pageUrl in config:', config.pageUrl);
+            process.exit(1);
+        }
+    }
+
+    if (!config.baseUrl || !config.articlePath) {
+        console.error('Missing required page target. Provide --url or both --base and --article.');
+        process.exit(1);
+    }
+
+    if (!config.outputDir) {
+        console.error('Missing output directory. Provide --output or set outputDir in config.');
+        process.exit(1);
+    }
+
+    try {
+        return normalizeExporterConfig(config);
+    } catch (error) {
+        console.error('Invalid config:', error.message);
+        process.exit(1);
+    }
+}
+
+// Config keys that change the rendered PDF. export-all stores a fingerprint of these
+// (plus the exporter version and logo) so pages are rebuilt when any of them change.
+const RENDER_SETTING_KEYS = [
+    'fontSize',
+    'footnoteFontSize',
+    'disableTableBreaks',
+    'disableHeadingBreaks',
+    'disableHeadingPairGuard',
+    'disableHeadingGroup',
+    'coverEnabled',
+    'tocEnabled',
+    'tocDepth',
+    'tocTitle',
+    'pageFormat',
+    'orientation',
+    'margins',
+    'linkPolicy',
+    'linkToPdfs',
+    'contentSource',
+    'versionId',
+    'asOf',
+    'pdfa',
+    'tagged',
+    'encryption'
+];
+
+// Header/footer template settings; their resolved HTML is part of the render fingerprint.
+const TEMPLATE_SETTING_KEYS = [
+    'headerTemplate',
+    'footerTemplate',
+    'coverHeaderTemplate',
+    'coverFooterTemplate'
+];
+
+const DEFAULT_LOGO_PATH = path.join(__dirname, 'assets', 'slomo-logo-traced-color.svg');
+
+// Placeholders: {{title}}, {{path}}, {{updatedAt}}, {{exportDate}}, {{locale}},
+// {{version}}, {{versionDate}}, {{revision}}, {{pageNumber}}, {{totalPages}}, {{logo}},
+// {{logoSrc}}, {{marginLeft}}, {{marginRight}}.
+const DEFAULT_HEADER_TEMPLATE = `
+    <div style="width:100%; padding:0 {{marginRight}}mm 0 {{marginLeft}}mm; box-sizing:border-box; height:34px; display:flex; justify-content:flex-end; align-items:flex-start;">
+        {{logo}}
+    </div>
+`;
+const DEFAULT_FOOTER_TEMPLATE = `
+    <div style="font-size:10px; width:100%; padding:0 {{marginRight}}mm 0 {{marginLeft}}mm; box-sizing:border-box; color:#444;">
+        <div style="width:100%; text-align:right;">
+            <span style="float:left;">{{revision}}</span>
+            {{pageNumber}} / {{totalPages}}
+        </div>
+    </div>
+`;
+
+const IMAGE_MIME_TYPES = {
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+// `logoPath: false` (or an empty string) turns the logo off; unset means the bundled logo.
+function resolveLogoPath(config = {}) {
+    if (config.logoPath === false || config.logoPath === '') return null;
+    if (typeof config.logoPath === 'string') return path.resolve(config.logoPath);
+    return DEFAULT_LOGO_PATH;
+}
+
+function readLogoDataUri(logoPath) {
+    const mimeType = IMAGE_MIME_TYPES[path.extname(logoPath).toLowerCase()];
+    if (!mimeType) {
+        throw new Error(`Unsupported logo image type: ${path.extname(logoPath) || logoPath}`);
+    }
+    return `data:${mimeType};base64,${fs.readFileSync(logoPath).toString('base64')}`;
+}
+
+// A template setting is inline HTML or the path of an .html file.
+function isTemplateFilePath(value) {
+    return typeof value === 'string' && /\.html?$/i.test(value.trim()) && !value.includes('<');
+}
+
+function resolveTemplateSetting(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (isTemplateFilePath(trimmed)) {
+        const templatePath = path.resolve(trimmed);
+        if (!fs.existsSync(templatePath)) {
+            throw new Error(`Template file not found: ${templatePath}`);
+        }
+        return fs.readFileSync(templatePath, 'utf8');
+    }
+    return value;
+}
+
+// Logo and template file paths are relative to the config file they come from, or to
+// the working directory on the command line. They are made absolute once on load, so
+// the render fingerprint and --isolate children (cwd: the exporter folder) read the
+// same files.
+function resolveSettingPaths(settings, baseDir) {
+    const resolved = { ...settings };
+    if (typeof resolved.logoPath === 'string' && resolved.logoPath.trim()) {
+        resolved.logoPath = path.resolve(baseDir, resolved.logoPath.trim());
+    }
+    TEMPLATE_SETTING_KEYS.forEach(key => {
+        if (isTemplateFilePath(resolved[key])) resolved[key] = path.resolve(baseDir, resolved[key].trim());
+    });
+    return resolved;
+}
+
+function fillHeaderFooterTemplate(template, values) {
+    const filled = String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (name === 'pageNumber' || name === 'totalPages') return `<span class="${name}"></span>`;
+        if (name === 'logo') {
+            return values.logoSrc ? `<img src="${values.logoSrc}" style="height:27px; width:auto;" />` : '';
+        }
+        if (!Object.prototype.hasOwnProperty.call(values, name)) return match;
+        return escapeHtml(values[name] === null || values[name] === undefined ? '' : values[name]);
+    });
+    // Chromium prints its own date/title header when a template is empty.
+    return filled.trim() ? filled : '<span></span>';
+}
+
+function hashFileOrNull(filePath) {
+    try {
+        if (!filePath || !fs.existsSync(filePath)) return null;
+        return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    } catch (_) {
+        return null;
+    }
+}
+
+function computeRenderFingerprint(rawConfig) {
+    const config = normalizeExporterConfig(rawConfig);
+    const settings = {};
+    RENDER_SETTING_KEYS.forEach(key => {
+        const value = config[key];
+        settings[key] = value === undefined ? null : value;
+    });
+    TEMPLATE_SETTING_KEYS.forEach(key => {
+        settings[key] = resolveTemplateSetting(config[key]);
+    });
+    const payload = {
+        exporterVersion: EXPORTER_VERSION,
+        settings,
+        logoSha256: hashFileOrNull(resolveLogoPath(config))
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+const LINK_POLICY_ACTIONS = new Set(['strip', 'keep', 'rewrite']);
+
+// One glob syntax for wiki page paths (export-all's --include/--exclude, encryption and
+// link policy rules) and link origins: "*" and "?" stay inside one path segment, "**"
+// spans segments, and a trailing "/**" also matches the folder page itself. Matching
+// ignores case.
+function globToRegExpSource(pattern) {
+    const source = String(pattern || '');
+    let regex = '';
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (char === '*') {
+            if (source[index + 1] === '*') {
+                if (source[index + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    index += 2;
+                } else {
+                    regex += '.*';
+                    index += 1;
+                }
+                continue;
+            }
+            regex += '[^/]*';
+            continue;
+        }
+        if (char === '?') {
+            regex += '[^/]';
+            continue;
+        }
+        regex += escapeRegExp(char);
+    }
+    regex = regex.replace(/\/\.\*$/, '(?:/.*)?');
+    return `^${regex}$`;
+}
+
+function pageGlobToRegExpSource(pattern) {
+    let source = String(pattern || '').trim();
+    if (!source.startsWith('/') && !source.startsWith('*')) source = `/${source}`;
+    return globToRegExpSource(source);
+}
+
+function pageGlobToRegExp(pattern) {
+    return new RegExp(pageGlobToRegExpSource(pattern), 'i');
+}
+
+// Path globs are matched against the page path both with and without its locale,
+// so "/en/documentation/**" and "/documentation/**" select the same English pages.
+function matchesPageGlob(pagePath, locale, matchers) {
+    const localizedPath = locale ? `/${locale}${pagePath}` : null;
+    return matchers.find(matcher => matcher.test(pagePath) || (localizedPath && matcher.test(localizedPath))) || null;
+}
+
+// Link policy rules are checked in order and the first match wins; links no rule
+// matches are kept. Each rule is kept serializable so page.evaluate can use it:
+// { origin, path, action, rewriteTo, originSource, pathSource }.
+function normalizeLinkPolicy(rawRules) {
+    if (rawRules === undefined || rawRules === null) return [];
+    if (!Array.isArray(rawRules)) throw new Error('linkPolicy must be an array of rules.');
+    return rawRules.map((rule, index) => {
+        if (!rule || typeof rule !== 'object') throw new Error(`linkPolicy[${index}] must be an object.`);
+        const action = String(rule.action || 'strip').trim().toLowerCase();
+        if (!LINK_POLICY_ACTIONS.has(action)) {
+            throw new Error(`linkPolicy[${index}]: unknown action "${rule.action}". Use strip, keep or rewrite.`);
+        }
+        const origin = typeof rule.origin === 'string' ? rule.origin.trim().replace(/\/+$/, '') : '';
+        const pathPattern = typeof rule.path === 'string' ? rule.path.trim() : '';
+        if (!origin && !pathPattern) throw new Error(`linkPolicy[${index}] needs an origin or a path pattern.`);
+        let rewriteTo = null;
+        if (action === 'rewrite') {
+            try {
+                rewriteTo = new URL(String(rule.rewriteTo || '')).href.replace(/\/+$/, '');
+            } catch (_) {
+                throw new Error(`linkPolicy[${index}]: rewrite needs an absolute rewriteTo URL.`);
+            }
+        }
+        // An origin without a scheme ("wiki.example.com") matches http and https.
+        const originPattern = origin && !origin.includes('://') ? `http*://${origin}` : origin;
+        return {
+            origin,
+            path: pathPattern,
+            action,
+            rewriteTo,
+            originSource: originPattern ? globToRegExpSource(originPattern.toLowerCase()) : null,
+            pathSource: pathPattern ? pageGlobToRegExpSource(pathPattern) : null
+        };
+    });
+}
+
+// Returns { action, href } for an absolute or relative link; `href` is the rewritten
+// URL for rewrite rules and null for strip rules.
+function applyLinkPolicy(href, baseHref, linkPolicy) {
+    const raw = String(href || '').trim();
+    if (!raw || raw.startsWith('#') || !Array.isArray(linkPolicy) || !linkPolicy.length) {
+        return { action: 'keep', href: raw };
+    }
+    let url;
+    try {
+        url = baseHref ? new URL(raw, baseHref) : new URL(raw);
+    } catch (_) {
+        return { action: 'keep', href: raw };
+    }
+    const origin = url.origin.toLowerCase();
+    const rule = linkPolicy.find(candidate => (
+        (!candidate.originSource || new RegExp(candidate.originSource, 'i').test(origin))
+        && (!candidate.pathSource || new RegExp(candidate.pathSource, 'i').test(url.pathname))
+    ));
+    if (!rule || rule.action === 'keep') return { action: 'keep', href: raw };
+    if (rule.action === 'strip') return { action: 'strip', href: null };
+    return { action: 'rewrite', href: `${rule.rewriteTo}${url.pathname}${url.search}${url.hash}` };
+}
+
+// Compiles the normalized link policy in the page as window.__exportLinkPolicy, the one
+// matcher the DOM passes share: findRule(url) gives the first matching rule or null,
+// isStripped(href) tells whether a raw href is turned into text. Installed before each
+// pass that needs it, since a navigation clears it.
+function installLinkPolicyMatcher(page, linkPolicy) {
+    return page.evaluate((rules) => {
+        const compiled = rules.map(rule => ({
+            ...rule,
+            originRegex: rule.originSource ? new RegExp(rule.originSource, 'i') : null,
+            pathRegex: rule.pathSource ? new RegExp(rule.pathSource, 'i') : null
+        }));
+        const findRule = (url) => compiled.find(rule => (
+            (!rule.originRegex || rule.originRegex.test(url.origin.toLowerCase()))
+            && (!rule.pathRegex || rule.pathRegex.test(url.pathname))
+        )) || null;
+        const isStripped = (href) => {
+            const raw = String(href || '').trim();
+            if (!raw || raw.startsWith('#') || compiled.length === 0) return false;
+            try {
+                const rule = findRule(new URL(raw, window.location.href));
+                return Boolean(rule && rule.action === 'strip');
+            } catch (_) {
+                return false;
+            }
+        };
+        window.__exportLinkPolicy = { size: compiled.length, findRule, isStripped };
+    }, Array.isArray(linkPolicy) ? linkPolicy : []);
+}
+
+// contentSource "graphql": the article is fetched through the Wiki.js GraphQL API and
+// printed from locally built HTML, so Chromium never loads the wiki's Vue UI.
+const CONTENT_SOURCES = ['site', 'graphql'];
+
+// Fields behind the PDF document metadata; the page source adds the body on top.
+const WIKI_PAGE_METADATA_FIELDS = 'id path locale title description tags { tag title } authorName creatorName createdAt updatedAt';
+const WIKI_PAGE_SOURCE_FIELDS = `${WIKI_PAGE_METADATA_FIELDS} content render contentType`;
+
+// Plain styling for Wiki.js rendered content, standing in for the site's own CSS.
+const LOCAL_SOURCE_STYLESHEET = `
+    html { font-size: 16px; }
+    body { margin: 0; font-family: Roboto, "Segoe UI", Arial, sans-serif; color: #212121; line-height: 1.6; }
+    .contents h1, .contents h2, .contents h3, .contents h4, .contents h5, .contents h6 { line-height: 1.3; margin: 1.2em 0 0.5em; }
+    .contents h1 { font-size: 2em; color: #1976d2; border-bottom: 2px solid #1976d2; padding-bottom: 4px; }
+    .contents h2 { font-size: 1.5em; border-bottom: 1px solid #cfd8dc; padding-bottom: 2px; }
+    .contents h3 { font-size: 1.25em; }
+    .contents h4 { font-size: 1.1em; }
+    .contents a { color: #1976d2; text-decoration: none; }
+    .contents a.toc-anchor { display: none; }
+    .contents img { max-width: 100%; }
+    .contents table { border-collapse: collapse; margin: 1em 0; }
+    .contents th, .contents td { border: 1px solid #cfd8dc; padding: 6px 10px; vertical-align: top; }
+    .contents th { background: #eceff1; font-weight: 600; }
+    .contents code { font-family: "Roboto Mono", Consolas, monospace; background: #eceff1; padding: 0 4px; border-radius: 3px; font-size: 0.9em; }
+    .contents pre { background: #263238; color: #eceff1; padding: 12px 16px; border-radius: 4px; white-space: pre-wrap; word-break: break-word; }
+    .contents pre code { background: none; color: inherit; padding: 0; }
+    .contents blockquote { margin: 1em 0; padding: 8px 16px; border-left: 4px solid #90a4ae; background: #eceff1; }
+    .contents blockquote.is-info { border-color: #2196f3; background: #e3f2fd; }
+    .contents blockquote.is-success { border-color: #4caf50; background: #e8f5e9; }
+    .contents blockquote.is-warning { border-color: #ff9800; background: #fff3e0; }
+    .contents blockquote.is-danger { border-color: #f44336; background: #ffebee; }
+    .contents section.footnotes { font-size: 0.9em; }
+`;
+
+// Fetch a page's source through GraphQL: by id when export-all knows it, otherwise by
+// path (a leading locale segment such as "/en/..." is taken as the page locale).
+async function fetchWikiPageSource(config, articlePath, pageRef = {}, fields = WIKI_PAGE_SOURCE_FIELDS) {
+    const pageId = Number(pageRef.id);
+    let query;
+    let variables;
+    let field;
+    if (Number.isInteger(pageId) && pageId > 0) {
+        field = 'single';
+        query = `query ExportPageSource($id: Int!) { pages { single(id: $id) { ${fields} } } }`;
+        variables = { id: pageId };
+    } else {
+        const segments = String(articlePath || '').split(/[?#]/)[0]
+            .split('/')
+            .filter(Boolean)
+            .map(safeDecodeURIComponent);
+        let locale = pageRef.locale || '';
+        if (segments.length > 1 && /^[a-z]{2}(-[a-z]{2,4})?$/i.test(segments[0])
+            && (!locale || segments[0].toLowerCase() === locale.toLowerCase())) {
+            locale = segments.shift();
+        }
+        field = 'singleByPath';
+        query = `query ExportPageSourceByPath($path: String!, $locale: String!) { pages { singleByPath(path: $path, locale: $locale) { ${fields} } } }`;
+        variables = { path: segments.join('/') || 'home', locale: locale || 'en' };
+    }
+
+    const { pages, errorText } = await requestWikiPagesQuery(config, query, variables, articlePath);
+    const source = pages ? pages[field] : null;
+    if (!source) {
+        throw new Error(`Page ${articlePath} not found via GraphQL${errorText}`);
+    }
+    return source;
+}
+
+// Runs a `pages { ... }` query; GraphQL errors are returned as text for the caller's message.
+async function requestWikiPagesQuery(config, query, variables, label) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const response = await axios.post(`${config.baseUrl}/graphql`, { query, variables }, {
+        timeout: config.timeout,
+        headers,
+        validateStatus: () => true
+    });
+    if (response.status >= 400) {
+        throw new Error(`GraphQL request for ${label} failed with HTTP ${response.status}`);
+    }
+    const payload = response.data && typeof response.data === 'object' ? response.data : {};
+    const errorText = Array.isArray(payload.errors) && payload.errors.length > 0
+        ? `: ${payload.errors.map(err => (err && err.message) || String(err)).join('; ')}`
+        : '';
+    return { pages: payload.data && payload.data.pages ? payload.data.pages : null, errorText };
+}
+
+const WIKI_PAGE_VERSION_FIELDS = 'versionId pageId path locale title description content contentType versionDate action authorName';
+const PAGE_HISTORY_BATCH_SIZE = 100;
+
+async function fetchWikiPageVersion(config, pageId, versionId) {
+    const query = `query ExportPageVersion($pageId: Int!, $versionId: Int!) { pages { version(pageId: $pageId, versionId: $versionId) { ${WIKI_PAGE_VERSION_FIELDS} } } }`;
+    const label = `version ${versionId} of page ${pageId}`;
+    const { pages, errorText } = await requestWikiPagesQuery(config, query, { pageId, versionId }, label);
+    const version = pages ? pages.version : null;
+    if (!version) {
+        throw new Error(`Version ${versionId} of page ${pageId} not found via GraphQL${errorText}`);
+    }
+    return version;
+}
+
+async function fetchWikiPageHistory(config, pageId) {
+    const query = `query ExportPageHistory($id: Int!, $offsetPage: Int, $offsetSize: Int) { pages { history(id: $id, offsetPage: $offsetPage, offsetSize: $offsetSize) { trail { versionId actionType versionDate } total } } }`;
+    const trail = [];
+    for (let offsetPage = 0; ; offsetPage++) {
+        const { pages, errorText } = await requestWikiPagesQuery(config, query, {
+            id: pageId,
+            offsetPage,
+            offsetSize: PAGE_HISTORY_BATCH_SIZE
+        }, `history of page ${pageId}`);
+        const history = pages ? pages.history : null;
+        if (!history) {
+            throw new Error(`History of page ${pageId} not available via GraphQL${errorText}`);
+        }
+        const batch = Array.isArray(history.trail) ? history.trail : [];
+        trail.push(...batch);
+        if (batch.length < PAGE_HISTORY_BATCH_SIZE || trail.length >= Number(history.total || 0)) break;
+    }
+    return trail;
+}
+
+// Resolve the page source for `versionId` or `asOf`. A Wiki.js history entry holds the
+// page as it was before an edit, dated when that content was saved, so the revision
+// current at a date is the newest entry saved on or before it (or the page itself
+// when it was last edited before that date). The returned source carries `revision`.
+async function fetchWikiPageRevision(config, articlePath, pageRef = {}, revisionRef = {}) {
+    const current = await fetchWikiPageSource(config, articlePath, pageRef);
+    const pageId = Number(current.id);
+    const toVersionSource = version => ({
+        ...current,
+        ...version,
+        id: current.id,
+        render: '',
+        revision: { versionId: version.versionId, versionDate: version.versionDate || null, asOf: revisionRef.asOf || null }
+    });
+
+    if (revisionRef.versionId) {
+        return toVersionSource(await fetchWikiPageVersion(config, pageId, revisionRef.versionId));
+    }
+
+    const asOfTime = Date.parse(revisionRef.asOf);
+    const updatedTime = Date.parse(current.updatedAt);
+    if (!Number.isFinite(updatedTime) || updatedTime <= asOfTime) {
+        return {
+            ...current,
+            revision: { versionId: null, versionDate: current.updatedAt || null, asOf: revisionRef.asOf }
+        };
+    }
+    const candidate = (await fetchWikiPageHistory(config, pageId))
+        .map(entry => ({ ...entry, time: Date.parse(entry.versionDate) }))
+        .filter(entry => Number.isFinite(entry.time) && entry.time <= asOfTime)
+        .sort((a, b) => b.time - a.time || b.versionId - a.versionId)[0];
+    if (!candidate) {
+        throw new Error(`Page ${articlePath} has no revision from ${revisionRef.asOf} or earlier`);
+    }
+    return toVersionSource(await fetchWikiPageVersion(config, pageId, candidate.versionId));
+}
+
+// Footer label of a historical revision, empty for the current page.
+function formatRevisionLabel(revision) {
+    if (!revision) return '';
+    const date = revision.versionDate ? new Date(revision.versionDate) : null;
+    const dateText = date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : '';
+    if (revision.versionId) {
+        return dateText ? `Version ${revision.versionId} of ${dateText}` : `Version ${revision.versionId}`;
+    }
+    if (dateText) return `Revision of ${dateText}`;
+    return revision.asOf ? `As of ${revision.asOf.slice(0, 10)}` : '';
+}
+
+// Document info, XMP packet and /Lang of the final PDF; document management systems
+// index on these instead of the "Untitled" Chromium leaves behind.
+const PDF_CREATOR_TOOL = `page-to-pdf-exporter ${EXPORTER_VERSION}`;
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// One string for the Info entry and pdf:Keywords: pdf-lib's setKeywords joins with a
+// space, and PDF/A requires both copies to be identical.
+function formatPdfKeywords(keywords) {
+    return keywords.join(', ');
+}
+
+function toValidDateOrNull(value) {
+    const parsed = value ? new Date(value) : null;
+    return parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+}
+
+// PDF/A only allows XMP properties of predefined schemas; pdfuaid has to be declared in
+// an extension schema when a file is both PDF/A and PDF/UA.
+const PDFUA_XMP_EXTENSION_SCHEMA = [
+    'xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"',
+    ' xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"',
+    ' xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">',
+    '<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">',
+    '<pdfaSchema:schema>PDF/UA Universal Accessibility Schema</pdfaSchema:schema>',
+    '<pdfaSchema:namespaceURI>http://www.aiim.org/pdfua/ns/id/</pdfaSchema:namespaceURI>',
+    '<pdfaSchema:prefix>pdfuaid</pdfaSchema:prefix>',
+    '<pdfaSchema:property><rdf:Seq><rdf:li rdf:parseType="Resource">',
+    '<pdfaProperty:name>part</pdfaProperty:name>',
+    '<pdfaProperty:valueType>Integer</pdfaProperty:valueType>',
+    '<pdfaProperty:category>internal</pdfaProperty:category>',
+    '<pdfaProperty:description>Indicates which part of ISO 14289 standard is followed</pdfaProperty:description>',
+    '</rdf:li></rdf:Seq></pdfaSchema:property>',
+    '</rdf:li></rdf:Bag></pdfaExtension:schemas>'
+].join('');
+
+// `extraProperties` are additional rdf:Description bodies (namespace declarations included).
+function buildXmpMetadata(metadata, extraProperties = []) {
+    const xmpDate = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const langAlt = value => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt>`;
+    const dcLines = [];
+    if (metadata.title) dcLines.push(`<dc:title>${langAlt(metadata.title)}</dc:title>`);
+    if (metadata.author) dcLines.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.author)}</rdf:li></rdf:Seq></dc:creator>`);
+    if (metadata.subject) dcLines.push(`<dc:description>${langAlt(metadata.subject)}</dc:description>`);
+    if (metadata.keywords.length) {
+        dcLines.push(`<dc:subject><rdf:Bag>${metadata.keywords.map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`);
+    }
+    if (metadata.language) dcLines.push(`<dc:language><rdf:Bag><rdf:li>${escapeXml(metadata.language)}</rdf:li></rdf:Bag></dc:language>`);
+    if (metadata.url) dcLines.push(`<dc:source>${escapeXml(metadata.url)}</dc:source>`);
+    dcLines.push('<dc:format>application/pdf</dc:format>');
+
+    const xmpLines = [`<xmp:CreatorTool>${escapeXml(PDF_CREATOR_TOOL)}</xmp:CreatorTool>`];
+    xmpLines.push(`<xmp:CreateDate>${xmpDate(metadata.createdAt)}</xmp:CreateDate>`);
+    xmpLines.push(`<xmp:ModifyDate>${xmpDate(metadata.updatedAt)}</xmp:ModifyDate>`);
+    xmpLines.push(`<xmp:MetadataDate>${xmpDate(metadata.exportedAt)}</xmp:MetadataDate>`);
+
+    const pdfLines = [`<pdf:Producer>${escapeXml(PDF_CREATOR_TOOL)}</pdf:Producer>`];
+    if (metadata.keywords.length) pdfLines.push(`<pdf:Keywords>${escapeXml(formatPdfKeywords(metadata.keywords))}</pdf:Keywords>`);
+
+    const descriptions = [
+        `<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">${dcLines.join('')}</rdf:Description>`,
+        `<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">${xmpLines.join('')}</rdf:Description>`,
+        `<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">${pdfLines.join('')}</rdf:Description>`,
+        ...extraProperties.map(body => `<rdf:Description rdf:about="" ${body}</rdf:Description>`)
+    ];
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+${descriptions.join('\n')}
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// `metadata`: title, author, subject, keywords, language, path, url, createdAt,
+// updatedAt and an optional page `revision` (see fetchWikiPageRevision).
+// With `options.pdfa` the file is also made PDF/A-2b, with `options.tagged` the tags are
+// completed for PDF/UA; returns the results of both checks.
+async function writePdfDocumentMetadata(pdfPath, rawMetadata, options = {}) {
+    // Whole seconds, so the Info dates and their XMP copies are identical (PDF/A checks that).
+    const exportedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const metadata = {
+        ...rawMetadata,
+        keywords: Array.from(new Set((rawMetadata.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean))),
+        createdAt: toValidDateOrNull(rawMetadata.createdAt) || exportedAt,
+        updatedAt: toValidDateOrNull(rawMetadata.updatedAt) || exportedAt,
+        exportedAt
+    };
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), { updateMetadata: false });
+    if (metadata.title) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+    if (metadata.author) pdfDoc.setAuthor(metadata.author);
+    if (metadata.subject) pdfDoc.setSubject(metadata.subject);
+    pdfDoc.setCreator(PDF_CREATOR_TOOL);
+    pdfDoc.setProducer(PDF_CREATOR_TOOL);
+    pdfDoc.setCreationDate(metadata.createdAt);
+    pdfDoc.setModificationDate(metadata.updatedAt);
+    if (metadata.language) pdfDoc.setLanguage(metadata.language);
+
+    const infoDict = pdfDoc.getInfoDict();
+    const setInfoText = (key, value) => {
+        if (value) infoDict.set(PDFName.of(key), PDFHexString.fromText(String(value)));
+    };
+    if (metadata.keywords.length) setInfoText('Keywords', formatPdfKeywords(metadata.keywords));
+    setInfoText('WikiPath', metadata.path);
+    setInfoText('WikiUrl', metadata.url);
+    setInfoText('WikiLocale', metadata.language);
+    const revision = metadata.revision || {};
+    setInfoText('WikiPageVersion', revision.versionId);
+    setInfoText('WikiPageVersionDate', revision.versionDate);
+    setInfoText('WikiAsOf', revision.asOf);
+
+    const extraXmp = [];
+    if (options.pdfa) {
+        extraXmp.push('xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"><pdfaid:part>2</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance>');
+    }
+    if (options.tagged) {
+        extraXmp.push('xmlns:pdfuaid="http://www.aiim.org/pdfua/ns/id/"><pdfuaid:part>1</pdfuaid:part>');
+        if (options.pdfa) extraXmp.push(PDFUA_XMP_EXTENSION_SCHEMA);
+    }
+    const xmpStream = pdfDoc.context.stream(Buffer.from(buildXmpMetadata(metadata, extraXmp), 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmpStream));
+
+    let accessibilityIssues = [];
+    if (options.tagged) {
+        finalizeTaggedPdf(pdfDoc);
+        accessibilityIssues = findPdfUaIssues(pdfDoc);
+    }
+    let violations = [];
+    if (options.pdfa) {
+        stripPdfAForbiddenFeatures(pdfDoc);
+        addSrgbOutputIntent(pdfDoc);
+        ensurePdfFileIdentifier(pdfDoc, `${metadata.url || pdfPath}|${exportedAt.toISOString()}`);
+        violations = findPdfAViolations(pdfDoc);
+    }
+
+    fs.writeFileSync(pdfPath, await pdfDoc.save());
+    return { violations, accessibilityIssues };
+}
+
+// PDF/A-2b (`pdfa`): the final PDF gets an sRGB output intent and pdfaid XMP, features
+// PDF/A forbids are stripped, and what cannot be fixed is reported by findPdfAViolations.
+const PDFA_FORBIDDEN_ACTIONS = new Set([
+    'Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'JavaScript',
+    'Hide', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView'
+]);
+const PDFA_ALLOWED_NAMED_ACTIONS = new Set(['NextPage', 'PrevPage', 'FirstPage', 'LastPage']);
+const PDFA_FORBIDDEN_ANNOTATIONS = new Set(['Sound', 'Movie', 'Screen', '3D', 'RichMedia', 'FileAttachment']);
+const ANNOTATION_FLAG_INVISIBLE = 1;
+const ANNOTATION_FLAG_HIDDEN = 2;
+const ANNOTATION_FLAG_PRINT = 4;
+const ANNOTATION_FLAG_NOVIEW = 32;
+const SRGB_OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+// Compact ICC v2 display profile with the sRGB primaries (Bradford-adapted to D50)
+// and the sRGB tone curve sampled into 1024 points, used as the PDF/A output intent.
+function buildSrgbIccProfile() {
+    const s15Fixed16 = value => Math.round(value * 65536);
+    const xyzTag = (x, y, z) => {
+        const buffer = Buffer.alloc(20);
+        buffer.write('XYZ ', 0, 'ascii');
+        buffer.writeInt32BE(s15Fixed16(x), 8);
+        buffer.writeInt32BE(s15Fixed16(y), 12);
+        buffer.writeInt32BE(s15Fixed16(z), 16);
+        return buffer;
+    };
+    const descText = `${SRGB_OUTPUT_CONDITION}\0`;
+    const descTag = Buffer.alloc(12 + descText.length + 8 + 3 + 67);
+    descTag.write('desc', 0, 'ascii');
+    descTag.writeUInt32BE(descText.length, 8);
+    descTag.write(descText, 12, 'ascii');
+    const cprtText = 'No copyright, use freely\0';
+    const cprtTag = Buffer.alloc(8 + cprtText.length);
+    cprtTag.write('text', 0, 'ascii');
+    cprtTag.write(cprtText, 8, 'ascii');
+    const curvePoints = 1024;
+    const curveTag = Buffer.alloc(12 + curvePoints * 2);
+    curveTag.write('curv', 0, 'ascii');
+    curveTag.writeUInt32BE(curvePoints, 8);
+    for (let index = 0; index < curvePoints; index++) {
+        const encoded = index / (curvePoints - 1);
+        const linear = encoded <= 0.04045 ? encoded / 12.92 : Math.pow((encoded + 0.055) / 1.055, 2.4);
+        curveTag.writeUInt16BE(Math.round(linear * 65535), 12 + index * 2);
+    }
+
+    // rTRC, gTRC and bTRC share one curve.
+    const tags = [
+        ['desc', descTag],
+        ['cprt', cprtTag],
+        ['wtpt', xyzTag(0.9505, 1, 1.089)],
+        ['rXYZ', xyzTag(0.4361, 0.2225, 0.0139)],
+        ['gXYZ', xyzTag(0.3851, 0.7169, 0.0971)],
+        ['bXYZ', xyzTag(0.1431, 0.0606, 0.7141)],
+        ['rTRC', curveTag],
+        ['gTRC', curveTag],
+        ['bTRC', curveTag]
+    ];
+    const tagTableSize = 4 + tags.length * 12;
+    const blocks = [];
+    const blockOffsets = new Map();
+    let offset = 128 + tagTableSize;
+    const tagTable = Buffer.alloc(tagTableSize);
+    tagTable.writeUInt32BE(tags.length, 0);
+    tags.forEach(([signature, data], index) => {
+        if (!blockOffsets.has(data)) {
+            blockOffsets.set(data, offset);
+            const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+            data.copy(padded);
+            blocks.push(padded);
+            offset += padded.length;
+        }
+        tagTable.write(signature, 4 + index * 12, 'ascii');
+        tagTable.writeUInt32BE(blockOffsets.get(data), 8 + index * 12);
+        tagTable.writeUInt32BE(data.length, 12 + index * 12);
+    });
+
+    const header = Buffer.alloc(128);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(0x02100000, 8);
+    header.write('mntr', 12, 'ascii');
+    header.write('RGB ', 16, 'ascii');
+    header.write('XYZ ', 20, 'ascii');
+    [2024, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+    header.write('acsp', 36, 'ascii');
+    header.writeInt32BE(s15Fixed16(0.9642), 68);
+    header.writeInt32BE(s15Fixed16(1), 72);
+    header.writeInt32BE(s15Fixed16(0.8249), 76);
+    return Buffer.concat([header, tagTable, ...blocks]);
+}
+
+function pdfNameValue(value) {
+    return value instanceof PDFName ? value.decodeText() : null;
+}
+
+function pdfFilterNames(dict) {
+    const filter = dict.get(PDFName.of('Filter'));
+    if (filter instanceof PDFArray) return filter.asArray().map(pdfNameValue).filter(Boolean);
+    const name = pdfNameValue(filter);
+    return name ? [name] : [];
+}
+
+function forEachPdfDict(pdfDoc, callback) {
+    pdfDoc.context.enumerateIndirectObjects().forEach(([ref, object]) => {
+        const dict = object instanceof PDFDict ? object : (object && object.dict instanceof PDFDict ? object.dict : null);
+        if (dict) callback(dict, ref, object !== dict);
+    });
+}
+
+// Annotation dictionaries do not need /Type, so they are found through the page /Annots.
+function forEachPageAnnotation(pdfDoc, callback) {
+    pdfDoc.getPages().forEach(page => {
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray)) return;
+        for (let index = annots.size() - 1; index >= 0; index--) {
+            const annot = annots.lookup(index);
+            if (annot instanceof PDFDict) callback(annot, annots.get(index), annots, index);
+        }
+    });
+}
+
+function annotationFlags(annot) {
+    const flags = annot.lookup(PDFName.of('F'));
+    return flags && typeof flags.asNumber === 'function' ? flags.asNumber() : 0;
+}
+
+function isForbiddenPdfAction(action) {
+    if (!(action instanceof PDFDict)) return false;
+    const type = pdfNameValue(action.get(PDFName.of('S')));
+    if (PDFA_FORBIDDEN_ACTIONS.has(type)) return true;
+    return type === 'Named' && !PDFA_ALLOWED_NAMED_ACTIONS.has(pdfNameValue(action.get(PDFName.of('N'))));
+}
+
+// Removes what PDF/A-2 forbids and can be dropped without changing the printed page:
+// scripts and additional actions, embedded files, multimedia annotations, image
+// interpolation and transfer functions. Annotations are made printable.
+function stripPdfAForbiddenFeatures(pdfDoc) {
+    const catalog = pdfDoc.catalog;
+    catalog.delete(PDFName.of('AA'));
+    const openAction = catalog.lookup(PDFName.of('OpenAction'));
+    if (isForbiddenPdfAction(openAction)) catalog.delete(PDFName.of('OpenAction'));
+    const names = catalog.lookup(PDFName.of('Names'));
+    if (names instanceof PDFDict) {
+        names.delete(PDFName.of('JavaScript'));
+        names.delete(PDFName.of('EmbeddedFiles'));
+    }
+    const acroForm = catalog.lookup(PDFName.of('AcroForm'));
+    if (acroForm instanceof PDFDict) acroForm.delete(PDFName.of('NeedAppearances'));
+
+    pdfDoc.getPages().forEach(page => page.node.delete(PDFName.of('AA')));
+    forEachPageAnnotation(pdfDoc, (annot, ref, annots, index) => {
+        const subtype = pdfNameValue(annot.get(PDFName.of('Subtype')));
+        const removeEntry = (container, key) => {
+            const value = key === null ? container.get(index) : container.get(PDFName.of(key));
+            if (key === null) container.remove(index);
+            else container.delete(PDFName.of(key));
+            if (value instanceof PDFRef) pdfDoc.context.delete(value);
+        };
+        if (PDFA_FORBIDDEN_ANNOTATIONS.has(subtype)) {
+            removeEntry(annots, null);
+            return;
+        }
+        annot.delete(PDFName.of('AA'));
+        if (isForbiddenPdfAction(annot.lookup(PDFName.of('A')))) removeEntry(annot, 'A');
+        if (subtype === 'Popup') return;
+        const flags = (annotationFlags(annot) | ANNOTATION_FLAG_PRINT)
+            & ~(ANNOTATION_FLAG_INVISIBLE | ANNOTATION_FLAG_HIDDEN | ANNOTATION_FLAG_NOVIEW);
+        annot.set(PDFName.of('F'), pdfDoc.context.obj(flags));
+    });
+
+    forEachPdfDict(pdfDoc, dict => {
+        const type = pdfNameValue(dict.get(PDFName.of('Type')));
+        const subtype = pdfNameValue(dict.get(PDFName.of('Subtype')));
+        if (subtype === 'Image') {
+            dict.delete(PDFName.of('Interpolate'));
+            dict.delete(PDFName.of('Alternates'));
+            dict.delete(PDFName.of('OPI'));
+        }
+        if (type === 'ExtGState') {
+            dict.delete(PDFName.of('TR'));
+            dict.delete(PDFName.of('HTP'));
+            if (dict.has(PDFName.of('TR2'))) dict.set(PDFName.of('TR2'), PDFName.of('Default'));
+        }
+    });
+}
+
+function addSrgbOutputIntent(pdfDoc) {
+    const profileRef = pdfDoc.context.register(pdfDoc.context.flateStream(buildSrgbIccProfile(), { N: 3 }));
+    const intentRef = pdfDoc.context.register(pdfDoc.context.obj({
+        Type: 'OutputIntent',
+        S: 'GTS_PDFA1',
+        OutputConditionIdentifier: PDFString.of(SRGB_OUTPUT_CONDITION),
+        RegistryName: PDFString.of('http://www.color.org'),
+        Info: PDFString.of(SRGB_OUTPUT_CONDITION),
+        DestOutputProfile: profileRef
+    }));
+    pdfDoc.catalog.set(PDFName.of('OutputIntents'), pdfDoc.context.obj([intentRef]));
+}
+
+// PDF/A needs a file identifier in the trailer.
+function ensurePdfFileIdentifier(pdfDoc, seed) {
+    if (pdfDoc.context.trailerInfo.ID) return;
+    const id = PDFHexString.of(crypto.createHash('md5').update(seed).digest('hex'));
+    pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([id, id]);
+}
+
+// Built-in PDF/A-2b check: one message per non-conforming object. It covers what this
+// exporter can produce (fonts, actions, annotations, images, streams, colour), not the
+// whole standard; use veraPDF for a formal validation.
+// Info entries and the XMP properties that must carry the same text (ISO 19005-2, 6.6.3).
+const PDFA_INFO_XMP_PROPERTIES = {
+    Title: /<dc:title>\s*<rdf:Alt>\s*<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/,
+    Author: /<dc:creator>\s*<rdf:Seq>\s*<rdf:li>([\s\S]*?)<\/rdf:li>/,
+    Subject: /<dc:description>\s*<rdf:Alt>\s*<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/,
+    Keywords: /<pdf:Keywords>([\s\S]*?)<\/pdf:Keywords>/,
+    Creator: /<xmp:CreatorTool>([\s\S]*?)<\/xmp:CreatorTool>/,
+    Producer: /<pdf:Producer>([\s\S]*?)<\/pdf:Producer>/
 };
 
-let fileConfig = {};
-if (argv.config && fs.existsSync(argv.config)) {
-    try {
-        fileConfig = JSON.parse(fs.readFileSync(argv.config, 'utf8'));
-    } catch (error) {
-        console.error('Error loading config file:', error.message);
-        process.exit(1);
-    }
-} else if (argv.config && argv.config !== './config.json') {
-    console.error('Config file not found:', argv.config);
-    process.exit(1);
+function findInfoXmpMismatches(pdfDoc, xmp) {
+    const unescapeXml = value => value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+    const infoDict = pdfDoc.getInfoDict();
+    return Object.entries(PDFA_INFO_XMP_PROPERTIES).filter(([key, pattern]) => {
+        const entry = infoDict.lookup(PDFName.of(key));
+        const infoValue = entry instanceof PDFString || entry instanceof PDFHexString ? entry.decodeText() : null;
+        const match = xmp.match(pattern);
+        const xmpValue = match ? unescapeXml(match[1]) : null;
+        return infoValue !== null && infoValue !== xmpValue;
+    }).map(([key]) => key);
+}
+
+function findPdfAViolations(pdfDoc) {
+    const violations = [];
+    const catalog = pdfDoc.catalog;
+    const report = (ref, message) => violations.push(ref instanceof PDFRef ? `${message} (object ${ref.toString()})` : message);
+
+    if (pdfDoc.context.trailerInfo.Encrypt) report(null, 'Document is encrypted');
+    if (!pdfDoc.context.trailerInfo.ID) report(null, 'Trailer has no file identifier (ID)');
+    if (!(catalog.lookup(PDFName.of('OutputIntents')) instanceof PDFArray)) report(null, 'Catalog has no OutputIntents');
+    const metadata = catalog.lookup(PDFName.of('Metadata'));
+    const xmp = metadata && typeof metadata.getContents === 'function'
+        ? Buffer.from(metadata.getContents()).toString('utf8')
+        : '';
+    if (!/pdfaid:part/.test(xmp)) report(null, 'XMP metadata has no pdfaid identification');
+    if (/pdfuaid:part/.test(xmp) && !/<pdfaSchema:prefix>pdfuaid<\/pdfaSchema:prefix>/.test(xmp)) {
+        report(null, 'XMP metadata uses pdfuaid without a PDF/A extension schema');
+    }
+    findInfoXmpMismatches(pdfDoc, xmp).forEach(key => report(null, `Info ${key} does not match the XMP metadata`));
+    if (catalog.has(PDFName.of('AA'))) report(null, 'Catalog has additional actions (AA)');
+    const names = catalog.lookup(PDFName.of('Names'));
+    if (names instanceof PDFDict && names.has(PDFName.of('JavaScript'))) report(null, 'Document contains JavaScript');
+    if (names instanceof PDFDict && names.has(PDFName.of('EmbeddedFiles'))) report(null, 'Document contains embedded files');
+
+    forEachPdfDict(pdfDoc, (dict, ref, isStream) => {
+        const type = pdfNameValue(dict.get(PDFName.of('Type')));
+        const subtype = pdfNameValue(dict.get(PDFName.of('Subtype')));
+        if (isStream) {
+            if (dict.has(PDFName.of('F')) || dict.has(PDFName.of('FFilter')) || dict.has(PDFName.of('FDecodeParms'))) {
+                report(ref, 'Stream refers to an external file');
+            }
+            if (pdfFilterNames(dict).includes('LZWDecode')) report(ref, 'Stream uses LZWDecode');
+        }
+        if (type === 'Font' && ['Type1', 'MMType1', 'TrueType', 'CIDFontType0', 'CIDFontType2'].includes(subtype)) {
+            const descriptor = dict.lookup(PDFName.of('FontDescriptor'));
+            const embedded = descriptor instanceof PDFDict
+                && ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+            if (!embedded) {
+                report(ref, `Font ${pdfNameValue(dict.get(PDFName.of('BaseFont'))) || subtype} is not embedded`);
+            }
+        }
+        if (isForbiddenPdfAction(dict)) {
+            report(ref, `Forbidden ${pdfNameValue(dict.get(PDFName.of('S')))} action`);
+        }
+        if (subtype === 'Image') {
+            const interpolate = dict.lookup(PDFName.of('Interpolate'));
+            if (interpolate && interpolate.toString() === 'true') report(ref, 'Image uses Interpolate');
+            if (pdfNameValue(dict.get(PDFName.of('ColorSpace'))) === 'DeviceCMYK') {
+                report(ref, 'Image uses DeviceCMYK without a CMYK output intent');
+            }
+        }
+        if (subtype === 'PS' || dict.has(PDFName.of('OPI'))) report(ref, 'PostScript or OPI content');
+        if (type === 'ExtGState') {
+            if (dict.has(PDFName.of('TR')) || dict.has(PDFName.of('HTP'))) report(ref, 'Graphics state uses a transfer function or halftone phase');
+            const tr2 = dict.get(PDFName.of('TR2'));
+            if (tr2 && pdfNameValue(tr2) !== 'Default') report(ref, 'Graphics state uses a TR2 transfer function');
+        }
+    });
+    forEachPageAnnotation(pdfDoc, (annot, ref) => {
+        const subtype = pdfNameValue(annot.get(PDFName.of('Subtype'))) || 'Unknown';
+        if (PDFA_FORBIDDEN_ANNOTATIONS.has(subtype)) report(ref, `Forbidden ${subtype} annotation`);
+        const flags = annotationFlags(annot);
+        if (subtype !== 'Popup' && (!(flags & ANNOTATION_FLAG_PRINT)
+            || (flags & (ANNOTATION_FLAG_INVISIBLE | ANNOTATION_FLAG_HIDDEN | ANNOTATION_FLAG_NOVIEW)))) {
+            report(ref, `${subtype} annotation is not printable`);
+        }
+        if (!['Link', 'Popup'].includes(subtype) && !annot.has(PDFName.of('AP'))) {
+            report(ref, `${subtype} annotation has no appearance stream`);
+        }
+    });
+    return violations;
+}
+
+// Tagged PDF (`tagged`): Chromium writes the structure tree; the helpers below keep it
+// complete when pdf-lib adds content and annotations afterwards, and check the result
+// against the PDF/UA rules this exporter can break.
+function getStructTreeRoot(pdfDoc) {
+    const root = pdfDoc.catalog.lookup(PDFName.of('StructTreeRoot'));
+    return root instanceof PDFDict ? root : null;
+}
+
+function structKids(pdfDoc, elem) {
+    const kids = elem.get(PDFName.of('K'));
+    if (!kids) return [];
+    const resolved = pdfDoc.context.lookup(kids);
+    return resolved instanceof PDFArray ? resolved.asArray() : [kids];
+}
+
+function appendStructKid(pdfDoc, elem, kid) {
+    const kids = elem.get(PDFName.of('K'));
+    const resolved = kids ? pdfDoc.context.lookup(kids) : null;
+    if (resolved instanceof PDFArray) {
+        resolved.push(kid);
+    } else {
+        elem.set(PDFName.of('K'), pdfDoc.context.obj(kids ? [kids, kid] : [kid]));
+    }
+}
+
+// The Document element that Chromium puts under the StructTreeRoot (created if absent).
+function getDocumentStructElementRef(pdfDoc, root) {
+    const existing = structKids(pdfDoc, root).find(kid => {
+        const elem = pdfDoc.context.lookup(kid);
+        return kid instanceof PDFRef && elem instanceof PDFDict && pdfNameValue(elem.get(PDFName.of('S'))) === 'Document';
+    });
+    if (existing) return existing;
+    const documentRef = pdfDoc.context.register(pdfDoc.context.obj({ Type: 'StructElem', S: 'Document', P: pdfDoc.catalog.get(PDFName.of('StructTreeRoot')) }));
+    appendStructKid(pdfDoc, root, documentRef);
+    return documentRef;
+}
+
+function readPageContentBytes(pdfDoc, page) {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map(ref => pdfDoc.context.lookup(ref))
+        : [contents];
+    return Buffer.concat(streams.filter(Boolean).map(stream => {
+        if (stream instanceof PDFRawStream) return Buffer.from(decodePDFRawStream(stream).decode());
+        return Buffer.from(typeof stream.getUnencodedContents === 'function' ? stream.getUnencodedContents() : stream.getContents());
+    }));
+}
+
+function findPageMaxMcid(pdfDoc, page) {
+    let max = -1;
+    const text = readPageContentBytes(pdfDoc, page).toString('latin1');
+    for (const match of text.matchAll(/\/MCID\s+(\d+)/g)) max = Math.max(max, Number(match[1]));
+    return max;
+}
+
+// ParentTree is a number tree; returns the Nums array that holds (or should hold) `key`.
+function parentTreeNumsFor(pdfDoc, node, key) {
+    const nums = node.lookup(PDFName.of('Nums'));
+    if (nums instanceof PDFArray) return { nums, leaf: node };
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (!(kids instanceof PDFArray) || kids.size() === 0) {
+        const created = pdfDoc.context.obj([]);
+        node.set(PDFName.of('Nums'), created);
+        return { nums: created, leaf: node };
+    }
+    const kidNodes = kids.asArray().map(ref => pdfDoc.context.lookup(ref));
+    const match = kidNodes.find(kid => {
+        const limits = kid.lookup(PDFName.of('Limits'));
+        return limits instanceof PDFArray && key >= limits.lookup(0).asNumber() && key <= limits.lookup(1).asNumber();
+    }) || kidNodes[kidNodes.length - 1];
+    const found = parentTreeNumsFor(pdfDoc, match, key);
+    const limits = match.lookup(PDFName.of('Limits'));
+    if (limits instanceof PDFArray && key > limits.lookup(1).asNumber()) limits.set(1, pdfDoc.context.obj(key));
+    return found;
+}
+
+function getParentTreeValue(pdfDoc, parentTree, key) {
+    const { nums } = parentTreeNumsFor(pdfDoc, parentTree, key);
+    for (let index = 0; index + 1 < nums.size(); index += 2) {
+        if (nums.lookup(index).asNumber() === key) return nums.get(index + 1);
+    }
+    return null;
+}
+
+function setParentTreeValue(pdfDoc, parentTree, key, value) {
+    const { nums } = parentTreeNumsFor(pdfDoc, parentTree, key);
+    let insertAt = nums.size();
+    for (let index = 0; index + 1 < nums.size(); index += 2) {
+        const existingKey = nums.lookup(index).asNumber();
+        if (existingKey === key) {
+            nums.set(index + 1, value);
+            return;
+        }
+        if (existingKey > key) {
+            insertAt = index;
+            break;
+        }
+    }
+    nums.insert(insertAt, pdfDoc.context.obj(key));
+    nums.insert(insertAt + 1, value);
+}
+
+function allocateParentTreeKey(pdfDoc, root) {
+    const nextKey = root.lookup(PDFName.of('ParentTreeNextKey'));
+    let key = nextKey ? nextKey.asNumber() : 0;
+    if (!nextKey) {
+        // Without ParentTreeNextKey, continue after the page StructParents and annotation StructParent keys.
+        pdfDoc.context.enumerateIndirectObjects().forEach(([, object]) => {
+            if (!(object instanceof PDFDict)) return;
+            ['StructParents', 'StructParent'].forEach(name => {
+                const value = object.lookup(PDFName.of(name));
+                if (value && typeof value.asNumber === 'function') key = Math.max(key, value.asNumber() + 1);
+            });
+        });
+    }
+    root.set(PDFName.of('ParentTreeNextKey'), pdfDoc.context.obj(key + 1));
+    return key;
+}
+
+function ensureParentTree(pdfDoc, root) {
+    let parentTree = root.lookup(PDFName.of('ParentTree'));
+    if (!(parentTree instanceof PDFDict)) {
+        parentTree = pdfDoc.context.obj({ Nums: [] });
+        root.set(PDFName.of('ParentTree'), pdfDoc.context.register(parentTree));
+    }
+    return parentTree;
+}
+
+// Registers marked content `mcid` on `page` as belonging to structure element `elemRef`.
+function addMarkedContentToParentTree(pdfDoc, root, page, mcid, elemRef) {
+    const parentTree = ensureParentTree(pdfDoc, root);
+    let key = page.node.lookup(PDFName.of('StructParents'));
+    key = key ? key.asNumber() : null;
+    if (key === null) {
+        key = allocateParentTreeKey(pdfDoc, root);
+        page.node.set(PDFName.of('StructParents'), pdfDoc.context.obj(key));
+    }
+    let entries = getParentTreeValue(pdfDoc, parentTree, key);
+    entries = entries ? pdfDoc.context.lookup(entries) : null;
+    if (!(entries instanceof PDFArray)) {
+        entries = pdfDoc.context.obj([]);
+        setParentTreeValue(pdfDoc, parentTree, key, pdfDoc.context.register(entries));
+    }
+    while (entries.size() < mcid) entries.push(PDFNull);
+    if (entries.size() === mcid) entries.push(elemRef);
+    else entries.set(mcid, elemRef);
+}
+
+// Tags annotation `annotRef` as a Link (or Annot) element under `parentRef`.
+function tagPdfAnnotation(pdfDoc, root, page, annotRef, parentRef) {
+    const annot = pdfDoc.context.lookup(annotRef);
+    if (!(annot instanceof PDFDict) || annot.has(PDFName.of('StructParent'))) return false;
+    const subtype = pdfNameValue(annot.get(PDFName.of('Subtype')));
+    const elemRef = pdfDoc.context.register(pdfDoc.context.obj({
+        Type: 'StructElem',
+        S: subtype === 'Link' ? 'Link' : 'Annot',
+        P: parentRef,
+        Pg: page.ref,
+        K: [pdfDoc.context.obj({ Type: 'OBJR', Obj: annotRef, Pg: page.ref })]
+    }));
+    appendStructKid(pdfDoc, pdfDoc.context.lookup(parentRef), elemRef);
+    const key = allocateParentTreeKey(pdfDoc, root);
+    annot.set(PDFName.of('StructParent'), pdfDoc.context.obj(key));
+    setParentTreeValue(pdfDoc, ensureParentTree(pdfDoc, root), key, elemRef);
+    if (!annot.has(PDFName.of('Contents'))) {
+        const action = annot.lookup(PDFName.of('A'));
+        const uri = action instanceof PDFDict ? action.lookup(PDFName.of('URI')) : null;
+        const file = action instanceof PDFDict ? action.lookup(PDFName.of('F')) : null;
+        const target = uri || file;
+        const description = target && typeof target.decodeText === 'function'
+            ? `Link to ${target.decodeText()}`
+            : 'Link within this document';
+        annot.set(PDFName.of('Contents'), PDFHexString.fromText(description));
+    }
+    return true;
+}
+
+// Draws `embeddedPage` over `page`: as a Note element (footnote text) when `noteId` is
+// given, as an artifact otherwise. Returns the Note element ref.
+function drawTaggedOverlay(pdfDoc, page, embeddedPage, noteId) {
+    const root = getStructTreeRoot(pdfDoc);
+    if (!root || !noteId) {
+        page.pushOperators(beginMarkedContent('Artifact'));
+        page.drawPage(embeddedPage);
+        page.pushOperators(endMarkedContent());
+        return null;
+    }
+    const documentRef = getDocumentStructElementRef(pdfDoc, root);
+    const mcid = findPageMaxMcid(pdfDoc, page) + 1;
+    const noteRef = pdfDoc.context.register(pdfDoc.context.obj({
+        Type: 'StructElem',
+        S: 'Note',
+        P: documentRef,
+        Pg: page.ref,
+        ID: PDFString.of(noteId),
+        K: [mcid]
+    }));
+    appendStructKid(pdfDoc, pdfDoc.context.lookup(documentRef), noteRef);
+    addMarkedContentToParentTree(pdfDoc, root, page, mcid, noteRef);
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+        PDFName.of('Note'),
+        pdfDoc.context.obj({ MCID: mcid })
+    ]));
+    page.drawPage(embeddedPage);
+    page.pushOperators(endMarkedContent());
+    return noteRef;
+}
+
+// Final touches for PDF/UA: every annotation tagged and described, tab order following
+// the structure, and the document marked as tagged.
+function finalizeTaggedPdf(pdfDoc) {
+    const root = getStructTreeRoot(pdfDoc);
+    if (!root) return;
+    pdfDoc.catalog.set(PDFName.of('MarkInfo'), pdfDoc.context.obj({ Marked: true }));
+    const documentRef = getDocumentStructElementRef(pdfDoc, root);
+    pdfDoc.getPages().forEach(page => {
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray) || annots.size() === 0) return;
+        page.node.set(PDFName.of('Tabs'), PDFName.of('S'));
+        annots.asArray().forEach(annotRef => {
+            if (annotRef instanceof PDFRef) tagPdfAnnotation(pdfDoc, root, page, annotRef, documentRef);
+        });
+    });
+}
+
+// Operators that paint something; outside marked content they are untagged content.
+const PAINTING_OPERATORS = new Set(['Tj', 'TJ', "'", '"', 'Do', 'sh', 'BI', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'S', 's']);
+
+// Counts painting operators outside any BMC/BDC..EMC sequence of a content stream.
+function countUnmarkedPaintingOperators(content) {
+    const text = Buffer.from(content).toString('latin1');
+    let depth = 0;
+    let count = 0;
+    let index = 0;
+    const isDelimiter = char => /[\s()<>[\]{}/%]/.test(char);
+    while (index < text.length) {
+        const char = text[index];
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '%') {
+            while (index < text.length && text[index] !== '\n' && text[index] !== '\r') index++;
+        } else if (char === '(') {
+            let nesting = 0;
+            for (; index < text.length; index++) {
+                if (text[index] === '\\') { index++; continue; }
+                if (text[index] === '(') nesting++;
+                if (text[index] === ')' && --nesting === 0) break;
+            }
+            index++;
+        } else if (char === '<' && text[index + 1] !== '<') {
+            index = text.indexOf('>', index) + 1 || text.length;
+        } else if (char === '/') {
+            index++;
+            while (index < text.length && !isDelimiter(text[index])) index++;
+        } else if (isDelimiter(char)) {
+            index += (char === '<' || char === '>') && text[index + 1] === char ? 2 : 1;
+        } else {
+            const start = index;
+            while (index < text.length && !isDelimiter(text[index])) index++;
+            const token = text.slice(start, index);
+            if (token === 'BMC' || token === 'BDC') depth++;
+            else if (token === 'EMC') depth = Math.max(0, depth - 1);
+            else if (depth === 0 && PAINTING_OPERATORS.has(token)) count++;
+            if (token === 'ID') {
+                const end = text.slice(index).search(/\sEI(\s|$)/);
+                index = end < 0 ? text.length : index + end + 3;
+            }
+        }
+    }
+    return count;
+}
+
+// Built-in PDF/UA check of the final PDF: one message per problem found.
+function findPdfUaIssues(pdfDoc) {
+    const issues = [];
+    const root = getStructTreeRoot(pdfDoc);
+    if (!root) return ['Document has no structure tree (not tagged)'];
+    const markInfo = pdfDoc.catalog.lookup(PDFName.of('MarkInfo'));
+    const marked = markInfo instanceof PDFDict ? markInfo.lookup(PDFName.of('Marked')) : null;
+    if (!marked || marked.toString() !== 'true') issues.push('MarkInfo /Marked is not true');
+    if (!pdfDoc.catalog.has(PDFName.of('Lang'))) issues.push('Document language (/Lang) is not set');
+    if (!pdfDoc.getTitle()) issues.push('Document title is not set');
+    const viewerPreferences = pdfDoc.catalog.lookup(PDFName.of('ViewerPreferences'));
+    const displayDocTitle = viewerPreferences instanceof PDFDict ? viewerPreferences.lookup(PDFName.of('DisplayDocTitle')) : null;
+    if (!displayDocTitle || displayDocTitle.toString() !== 'true') issues.push('ViewerPreferences /DisplayDocTitle is not true');
+
+    let previousHeadingLevel = 0;
+    const visit = (ref, depth) => {
+        const elem = pdfDoc.context.lookup(ref);
+        if (!(elem instanceof PDFDict) || depth > 200) return;
+        const type = pdfNameValue(elem.get(PDFName.of('S')));
+        const label = ref instanceof PDFRef ? ` (object ${ref.toString()})` : '';
+        if (type === 'Figure' && !elem.has(PDFName.of('Alt')) && !elem.has(PDFName.of('ActualText'))) {
+            issues.push(`Figure without alternate text${label}`);
+        }
+        if (type === 'Note' && !elem.has(PDFName.of('ID'))) issues.push(`Note without ID${label}`);
+        const headingMatch = /^H([1-6])$/.exec(type || '');
+        if (headingMatch) {
+            const level = Number(headingMatch[1]);
+            if (level > previousHeadingLevel + 1) issues.push(`Heading level skipped: H${previousHeadingLevel || '-'} followed by H${level}${label}`);
+            previousHeadingLevel = level;
+        }
+        structKids(pdfDoc, elem).forEach(kid => {
+            const kidObject = pdfDoc.context.lookup(kid);
+            if (kidObject instanceof PDFDict && pdfNameValue(kidObject.get(PDFName.of('Type'))) !== 'MCR'
+                && pdfNameValue(kidObject.get(PDFName.of('Type'))) !== 'OBJR') {
+                visit(kid, depth + 1);
+            }
+        });
+    };
+    structKids(pdfDoc, root).forEach(kid => visit(kid, 0));
+
+    pdfDoc.getPages().forEach((page, pageIndex) => {
+        const pageLabel = `page ${pageIndex + 1}`;
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (annots instanceof PDFArray && annots.size() > 0) {
+            if (pdfNameValue(page.node.get(PDFName.of('Tabs'))) !== 'S') issues.push(`Tab order of ${pageLabel} does not follow the structure`);
+            annots.asArray().forEach(annotRef => {
+                const annot = pdfDoc.context.lookup(annotRef);
+                if (!(annot instanceof PDFDict) || pdfNameValue(annot.get(PDFName.of('Subtype'))) === 'Popup') return;
+                if (!annot.has(PDFName.of('StructParent'))) issues.push(`Annotation on ${pageLabel} is not tagged (object ${annotRef.toString()})`);
+                if (!annot.has(PDFName.of('Contents'))) issues.push(`Annotation on ${pageLabel} has no description (object ${annotRef.toString()})`);
+            });
+        }
+        const unmarked = countUnmarkedPaintingOperators(readPageContentBytes(pdfDoc, page));
+        if (unmarked > 0) issues.push(`${unmarked} drawing operation(s) on ${pageLabel} are neither tagged nor marked as artifacts`);
+    });
+    return issues;
+}
+
+// Password protection (`encryption`): rules of { path, userPasswordEnv, ownerPasswordEnv,
+// allowPrint, allowCopy, allowEdit }; the first rule whose path glob matches the page
+// applies, a rule without a path matches every page. Passwords only come from the
+// environment variables the rules name, never from the config file.
+const ENCRYPTION_PERMISSIONS = ['print', 'copy', 'edit'];
+const ENV_VAR_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function normalizeEncryptionRules(rawRules) {
+    if (rawRules === undefined || rawRules === null || rawRules === false) return [];
+    const list = Array.isArray(rawRules) ? rawRules : [rawRules];
+    return list.map((rule, index) => {
+        if (!rule || typeof rule !== 'object') throw new Error(`encryption[${index}] must be an object.`);
+        if (rule.userPassword !== undefined || rule.ownerPassword !== undefined) {
+            throw new Error(`encryption[${index}]: passwords are read from environment variables, use userPasswordEnv/ownerPasswordEnv.`);
+        }
+        const envName = key => {
+            if (rule[key] === undefined || rule[key] === null || rule[key] === '') return null;
+            const name = String(rule[key]).trim();
+            if (!ENV_VAR_NAME_PATTERN.test(name)) throw new Error(`encryption[${index}]: invalid ${key} "${rule[key]}".`);
+            return name;
+        };
+        const pathPattern = typeof rule.path === 'string' ? rule.path.trim() : '';
+        return {
+            path: pathPattern,
+            pathSource: pathPattern ? pageGlobToRegExpSource(pathPattern) : null,
+            userPasswordEnv: envName('userPasswordEnv'),
+            ownerPasswordEnv: envName('ownerPasswordEnv'),
+            allowPrint: rule.allowPrint !== false,
+            allowCopy: rule.allowCopy !== false,
+            allowEdit: rule.allowEdit !== false
+        };
+    });
+}
+
+// --user-password-env / --owner-password-env / --deny make one rule for every page; it
+// comes before the rules from the config file.
+function buildCliEncryptionRule(argv) {
+    const deny = Array.isArray(argv.deny) ? argv.deny.map(value => String(value).trim().toLowerCase()) : [];
+    if (!argv.userPasswordEnv && !argv.ownerPasswordEnv && deny.length === 0) return null;
+    const [rule] = normalizeEncryptionRules({
+        userPasswordEnv: argv.userPasswordEnv,
+        ownerPasswordEnv: argv.ownerPasswordEnv,
+        allowPrint: !deny.includes('print'),
+        allowCopy: !deny.includes('copy'),
+        allowEdit: !deny.includes('edit')
+    });
+    return rule;
 }
 
-let config = {
-    ...defaultConfig,
-    ...fileConfig,
-    credentials: {
-        ...(defaultConfig.credentials || {}),
-        ...((fileConfig && fileConfig.credentials) || {})
-    }
-};
+function resolveEncryptionRule(rules, wikiPath, locale) {
+    if (!Array.isArray(rules) || rules.length === 0) return null;
+    const pagePath = String(wikiPath || '').split(/[?#]/)[0];
+    return rules.find(rule => !rule.pathSource
+        || matchesPageGlob(pagePath, locale, [new RegExp(rule.pathSource, 'i')])) || null;
+}
 
-// Override config with command line arguments
-if (argv.url) config.pageUrl = argv.url;
-if (argv.base) config.baseUrl = argv.base;
-if (argv.email) config.credentials.email = argv.email;
-if (argv.password) config.credentials.password = argv.password;
-if (argv.article) config.articlePath = argv.article;
-if (argv.output) config.outputDir = argv.output;
-if (argv.apikey) config.apiKey = argv.apikey;
-if (typeof argv.loginPath === 'string') config.loginPath = argv.loginPath;
-if (argv.skipLogin) config.skipLogin = true;
-if (typeof argv.pdfName === 'string') config.pdfName = argv.pdfName;
-if (typeof argv.headless === 'boolean') config.headless = argv.headless;
-if (typeof argv.timeout === 'number' && Number.isFinite(argv.timeout) && argv.timeout > 0) {
-    config.timeout = argv.timeout;
-}
-if (typeof argv.fontSize === 'number') config.fontSize = argv.fontSize;
-if (typeof argv.footnoteFontSize === 'number') config.footnoteFontSize = argv.footnoteFontSize;
-
-// Derive baseUrl/articlePath from pageUrl only when explicit base/article are not provided.
-// This prevents export-all from being overwritten by a single-page URL stored in config.json.
-const hasExplicitBaseOrArticle = Boolean(argv.base || argv.article);
-const shouldDeriveFromPageUrl = Boolean(config && config.pageUrl && (argv.url || !hasExplicitBaseOrArticle));
-if (shouldDeriveFromPageUrl) {
-    try {
-        const u = new URL(config.pageUrl);
-        config.baseUrl = u.origin;
-        // keep query string to support dynamic pages
-        config.articlePath = u.pathname + (u.search || '');
-        // Ensure a default loginPath if missing
-        if (!config.loginPath) config.loginPath = '/login';
-    } catch (e) {
-        console.error('Invalid pageUrl in config:', config.pageUrl);
-        process.exit(1);
+// Without an owner password nobody may lift the restrictions, so a random one is used.
+function resolveEncryptionPasswords(rule, env = process.env) {
+    const read = (name, label) => {
+        if (!name) return '';
+        const value = env[name];
+        if (typeof value !== 'string' || value === '') {
+            throw new Error(`Environment variable ${name} with the PDF ${label} password is not set.`);
+        }
+        return value;
+    };
+    return {
+        userPassword: read(rule.userPasswordEnv, 'user'),
+        ownerPassword: read(rule.ownerPasswordEnv, 'owner') || crypto.randomBytes(24).toString('base64')
+    };
+}
+
+// Permission bits of the standard security handler (ISO 32000-2, table 22). Bits 7-8
+// and 13-32 are set, extraction for accessibility (bit 10) is always allowed.
+function computePdfPermissions(rule) {
+    let permissions = 0xFFFFF0C0 | (1 << 9);
+    if (rule.allowPrint) permissions |= (1 << 2) | (1 << 11);
+    if (rule.allowEdit) permissions |= (1 << 3) | (1 << 5) | (1 << 8) | (1 << 10);
+    if (rule.allowCopy) permissions |= (1 << 4);
+    return permissions | 0;
+}
+
+// Algorithm 2.B (revision 6): SHA-256 seeded, then at least 64 AES-128 rounds.
+function pdfR6Hash(password, salt, userKey = Buffer.alloc(0)) {
+    let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+    for (let round = 0; ; round++) {
+        const block = Buffer.concat([password, key, userKey]);
+        const repeated = Buffer.concat(Array(64).fill(block));
+        const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+        cipher.setAutoPadding(false);
+        const encrypted = Buffer.concat([cipher.update(repeated), cipher.final()]);
+        let sum = 0;
+        for (let index = 0; index < 16; index++) sum += encrypted[index];
+        key = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(encrypted).digest();
+        if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
     }
+    return key.subarray(0, 32);
+}
+
+function aes256NoPadding(mode, key, data) {
+    const cipher = crypto.createCipheriv(mode, key, mode === 'aes-256-ecb' ? null : Buffer.alloc(16));
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
 }
 
-if (!config.baseUrl || !config.articlePath) {
-    console.error('Missing required page target. Provide --url or both --base and --article.');
-    process.exit(1);
+// Standard security handler, revision 6 (AES-256): returns the file key and the
+// /Encrypt dictionary entries.
+function buildPdfEncryption(userPassword, ownerPassword, permissions) {
+    const toPasswordBytes = value => Buffer.from(String(value || '').normalize('NFKC'), 'utf8').subarray(0, 127);
+    const userBytes = toPasswordBytes(userPassword);
+    const ownerBytes = toPasswordBytes(ownerPassword);
+    const fileKey = crypto.randomBytes(32);
+
+    const userValidationSalt = crypto.randomBytes(8);
+    const userKeySalt = crypto.randomBytes(8);
+    const userEntry = Buffer.concat([pdfR6Hash(userBytes, userValidationSalt), userValidationSalt, userKeySalt]);
+    const userKeyEntry = aes256NoPadding('aes-256-cbc', pdfR6Hash(userBytes, userKeySalt), fileKey);
+
+    const ownerValidationSalt = crypto.randomBytes(8);
+    const ownerKeySalt = crypto.randomBytes(8);
+    const ownerEntry = Buffer.concat([pdfR6Hash(ownerBytes, ownerValidationSalt, userEntry), ownerValidationSalt, ownerKeySalt]);
+    const ownerKeyEntry = aes256NoPadding('aes-256-cbc', pdfR6Hash(ownerBytes, ownerKeySalt, userEntry), fileKey);
+
+    const perms = Buffer.alloc(16);
+    perms.writeInt32LE(permissions, 0);
+    perms.writeUInt32LE(0xFFFFFFFF, 4);
+    perms.write('Tadb', 8, 'latin1');
+    crypto.randomBytes(4).copy(perms, 12);
+
+    return {
+        fileKey,
+        entries: {
+            O: ownerEntry,
+            U: userEntry,
+            OE: ownerKeyEntry,
+            UE: userKeyEntry,
+            P: permissions,
+            Perms: aes256NoPadding('aes-256-ecb', fileKey, perms)
+        }
+    };
 }
 
-if (!config.outputDir) {
-    console.error('Missing output directory. Provide --output or set outputDir in config.');
-    process.exit(1);
+function aesEncryptPdfData(fileKey, data) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+    return Buffer.concat([iv, cipher.update(Buffer.from(data)), cipher.final()]);
 }
 
-if (typeof config.baseUrl === 'string') {
-    config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+// Encrypts the finished PDF in place. It must be the last step: pdf-lib cannot load
+// encrypted files. Object streams are not used, so every string and stream is
+// encrypted on its own.
+async function encryptPdfFile(pdfPath, rule, env = process.env) {
+    const { userPassword, ownerPassword } = resolveEncryptionPasswords(rule, env);
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), { updateMetadata: false });
+    const context = pdfDoc.context;
+    ensurePdfFileIdentifier(pdfDoc, `${pdfPath}|${Date.now()}`);
+    const { fileKey, entries } = buildPdfEncryption(userPassword, ownerPassword, computePdfPermissions(rule));
+
+    const encryptValue = value => {
+        if (value instanceof PDFString || value instanceof PDFHexString) {
+            return PDFHexString.of(aesEncryptPdfData(fileKey, value.asBytes()).toString('hex'));
+        }
+        if (value instanceof PDFArray) {
+            for (let index = 0; index < value.size(); index++) value.set(index, encryptValue(value.get(index)));
+        } else if (value instanceof PDFDict) {
+            value.entries().forEach(([key, entry]) => value.set(key, encryptValue(entry)));
+        }
+        return value;
+    };
+    context.enumerateIndirectObjects().forEach(([ref, object]) => {
+        if (object instanceof PDFRawStream) {
+            encryptValue(object.dict);
+            context.assign(ref, PDFRawStream.of(object.dict, aesEncryptPdfData(fileKey, object.getContents())));
+        } else {
+            encryptValue(object);
+        }
+    });
+
+    const hex = buffer => PDFHexString.of(buffer.toString('hex'));
+    context.trailerInfo.Encrypt = context.register(context.obj({
+        Filter: 'Standard',
+        V: 5,
+        R: 6,
+        Length: 256,
+        CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        O: hex(entries.O),
+        U: hex(entries.U),
+        OE: hex(entries.OE),
+        UE: hex(entries.UE),
+        P: entries.P,
+        Perms: hex(entries.Perms),
+        EncryptMetadata: true
+    }));
+
+    const pageCount = pdfDoc.getPageCount();
+    const encrypted = await pdfDoc.save({ useObjectStreams: false });
+    await verifyEncryptedPdf(encrypted, [userPassword, ownerPassword], pageCount);
+    fs.writeFileSync(pdfPath, encrypted);
 }
-if (typeof config.articlePath === 'string' && config.articlePath && !config.articlePath.startsWith('/')) {
-    config.articlePath = `/${config.articlePath}`;
+
+// Round trip through pdf.js with each password before the file is written: a PDF that
+// no reader can open must not replace the export.
+async function verifyEncryptedPdf(data, passwords, pageCount) {
+    const pdfjsLib = await getPdfjsLib();
+    for (const [index, password] of passwords.entries()) {
+        const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(data), password: password || '', disableWorker: true });
+        try {
+            const pdf = await loadingTask.promise;
+            if (pdf.numPages !== pageCount) {
+                throw new Error(`decrypted to ${pdf.numPages} pages instead of ${pageCount}`);
+            }
+            await (await pdf.getPage(1)).getTextContent();
+        } catch (error) {
+            throw new Error(`Encrypted PDF does not open with its ${index === 0 ? 'user' : 'owner'} password: ${error.message}`);
+        } finally {
+            await loadingTask.destroy();
+        }
+    }
 }
 
-if (!config.loginPath) config.loginPath = '/login';
-if (!config.credentials || typeof config.credentials !== 'object') config.credentials = {};
-if (!Number.isFinite(config.timeout) || config.timeout <= 0) config.timeout = defaultConfig.timeout;
-if (typeof config.headless !== 'boolean') config.headless = false;
-if (typeof config.skipLogin !== 'boolean') config.skipLogin = false;
-const parsedFontSize = Number(config.fontSize);
-config.fontSize = Number.isFinite(parsedFontSize) && parsedFontSize > 0 ? parsedFontSize : null;
-const parsedFootnoteFontSize = Number(config.footnoteFontSize);
-config.footnoteFontSize = Number.isFinite(parsedFootnoteFontSize) && parsedFootnoteFontSize > 0
-    ? parsedFootnoteFontSize
-    : defaultConfig.footnoteFontSize;
+// Wiki.js' server-side `render` is used when present; Markdown pages without it are
+// converted with marked, HTML pages are taken as they are.
+function buildLocalArticleHtml(source) {
+    let bodyHtml = typeof source.render === 'string' && source.render.trim() ? source.render : '';
+    if (!bodyHtml) {
+        const contentType = String(source.contentType || 'markdown').toLowerCase();
+        const content = String(source.content || '');
+        if (contentType === 'html') {
+            bodyHtml = content;
+        } else if (contentType === 'markdown') {
+            bodyHtml = marked.parse(content);
+        } else {
+            bodyHtml = `<pre>${escapeHtml(content)}</pre>`;
+        }
+    }
+    const lang = escapeHtmlAttr(source.locale || 'en');
+    return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(source.title || source.path || '')}</title>
+<style data-export-local-source="true">${LOCAL_SOURCE_STYLESHEET}</style>
+</head>
+<body>
+<main class="v-main" role="main">
+<div class="contents">
+${bodyHtml}
+</div>
+</main>
+</body>
+</html>
+`;
+}
 
-const BLOCKED_LINK_ORIGINS = new Set([
-    'http://192.168.219.16',
-    'https://wiki.slomo.tv'
-].map(value => value.toLowerCase()));
-const BLOCKED_LINK_ORIGINS_LIST = Array.from(BLOCKED_LINK_ORIGINS);
+// Article body containers, most specific first. Book mode copies the first match
+// of every chapter page into the first chapter's page before printing.
+const BOOK_CONTENT_SELECTORS = [
+    '.contents',
+    '.page-col-content',
+    '.article-content',
+    '.wiki-content',
+    '.markdown-body',
+    '.markdown',
+    'article',
+    'main'
+];
 
 // Вспомогательные функции
 function getResourceType(url) {
@@ -197,19 +2051,39 @@ function getResourceType(url) {
     return null;
 }
 
+// Uploaded images/media and embedded wiki pages (iframes) can change without the page's
+// own updatedAt changing. The wiki UI (/_assets, avatars, the API) is not content.
+function classifyWikiDependency(url, baseUrl, resourceType) {
+    let target;
+    let base;
+    try {
+        target = new URL(url);
+        base = new URL(baseUrl);
+    } catch (_) {
+        return null;
+    }
+    const basePath = base.pathname.replace(/\/+$/, '');
+    if (target.origin !== base.origin || !target.pathname.startsWith(`${basePath}/`)) return null;
+    const wikiPath = target.pathname.slice(basePath.length);
+    if (/^\/(_assets|_userav|graphql|favicon)/i.test(wikiPath)) return null;
+    if (resourceType === 'image' || resourceType === 'media') return { kind: 'asset', wikiPath };
+    if (resourceType === 'document') return { kind: 'page', wikiPath };
+    return null;
+}
+
 function getSafeFilename(url) {
     return decodeURIComponent(path.basename(url.split('?')[0]))
         .replace(/[^\w.-]/g, '_');
 }
 
-async function saveAllResources(resourcesMap, outputDir) {
+async function saveAllResources(resourcesMap, outputDir, logger = console) {
     for (const [url, resource] of resourcesMap) {
         try {
             const subDir = path.join(outputDir, resource.type + 's');
             if (!fs.existsSync(subDir)) fs.mkdirSync(subDir);
             fs.writeFileSync(path.join(subDir, resource.filename), resource.buffer);
         } catch (e) {
-            console.log(`Ошибка сохранения ${url}:`, e.message);
+            logger.log(`Ошибка сохранения ${url}:`, e.message);
         }
     }
 }
@@ -238,6 +2112,75 @@ async function saveAllStyles(page, outputDir) {
     fs.writeFileSync(path.join(stylesDir, 'inline_styles.css'), styles.join('\n'));
 }
 
+// Offline copies written next to the PDF: `html` is a single file with styles, fonts
+// and images inlined, `mhtml` is Chromium's web archive of the printed page.
+const ARCHIVE_FORMATS = ['html', 'mhtml'];
+
+const FONT_MIME_TYPES = {
+    '.woff2': 'font/woff2',
+    '.woff': 'font/woff',
+    '.ttf': 'font/ttf',
+    '.eot': 'application/vnd.ms-fontobject'
+};
+
+// Accepts an array or a comma-separated string; throws on an unknown format.
+function normalizeArchiveFormats(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const formats = [];
+    list.forEach(item => {
+        const format = String(item || '').trim().toLowerCase();
+        if (!format) return;
+        if (!ARCHIVE_FORMATS.includes(format)) {
+            throw new Error(`Unknown archive format "${item}". Use one of: ${ARCHIVE_FORMATS.join(', ')}`);
+        }
+        if (!formats.includes(format)) formats.push(format);
+    });
+    return formats;
+}
+
+function archivePathForPdf(pdfPath, format) {
+    return pdfPath.replace(/\.pdf$/i, '') + `.${format}`;
+}
+
+function resourceToDataUri(url, resource) {
+    let extension = '';
+    try {
+        extension = path.extname(new URL(url).pathname).toLowerCase();
+    } catch (_) {
+        extension = path.extname(String(url).split('?')[0]).toLowerCase();
+    }
+    const mimeType = FONT_MIME_TYPES[extension] || IMAGE_MIME_TYPES[extension]
+        || (resource.type === 'style' ? 'text/css' : 'application/octet-stream');
+    return `data:${mimeType};base64,${resource.buffer.toString('base64')}`;
+}
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+function absolutizeCssUrls(cssText, baseHref) {
+    return String(cssText || '').replace(CSS_URL_PATTERN, (match, quote, value) => {
+        if (/^(data|blob):/i.test(value) || value.startsWith('#')) return match;
+        try {
+            return `url('${new URL(value, baseHref).href.replace(/'/g, '%27')}')`;
+        } catch (_) {
+            return match;
+        }
+    });
+}
+
+// Replace absolute resource URLs with data URIs of the responses captured while the
+// page loaded (see WikiExporter.handleResponse). Unknown URLs stay online links.
+function inlineCapturedResources(html, resources) {
+    return String(html || '')
+        .replace(CSS_URL_PATTERN, (match, quote, value) => {
+            const resource = resources.get(value) || resources.get(value.replace(/&amp;/g, '&'));
+            return resource ? `url('${resourceToDataUri(value, resource)}')` : match;
+        })
+        .replace(/\b(src|poster)="(https?:[^"]+)"/g, (match, attr, value) => {
+            const resource = resources.get(value.replace(/&amp;/g, '&'));
+            return resource ? `${attr}="${resourceToDataUri(value, resource)}"` : match;
+        });
+}
+
 function escapeRegExp(value) {
     return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -348,22 +2291,6 @@ function safeDecodeURIComponent(value) {
     }
 }
 
-function normalizeLinkOrigin(href, baseHref) {
-    const raw = String(href || '').trim();
-    if (!raw) return null;
-    try {
-        return String(baseHref ? new URL(raw, baseHref).origin : new URL(raw).origin).toLowerCase();
-    } catch (_) {
-        return null;
-    }
-}
-
-function shouldSuppressLinkHref(href, baseHref) {
-    const raw = String(href || '').trim();
-    if (!raw || raw.startsWith('#')) return false;
-    const origin = normalizeLinkOrigin(raw, baseHref);
-    return Boolean(origin && BLOCKED_LINK_ORIGINS.has(origin));
-}
 
 function sanitizeFootnoteToken(value, fallback = 'footnote') {
     const source = String(value || '').trim().toLowerCase();
@@ -880,7 +2807,7 @@ function addPdfLinkAnnotation(pdfDoc, page, rect, linkSpec) {
     annots.push(annotationRef);
 }
 
-function resolveFootnoteLinkSpec(href, existingDestinationNames) {
+function resolveFootnoteLinkSpec(href, existingDestinationNames, baseHref, linkPolicy) {
     const raw = String(href || '').trim();
     if (!raw) return null;
 
@@ -898,11 +2825,13 @@ function resolveFootnoteLinkSpec(href, existingDestinationNames) {
         return preferred ? { type: 'internal', destName: preferred } : null;
     }
 
-    if (shouldSuppressLinkHref(raw, config && config.baseUrl)) return null;
+    const policy = applyLinkPolicy(raw, baseHref, linkPolicy);
+    if (policy.action === 'strip') return null;
+    const target = policy.href;
 
-    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(raw);
-    if (hasScheme || raw.startsWith('/')) {
-        return { type: 'external', href: raw };
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(target);
+    if (hasScheme || target.startsWith('/')) {
+        return { type: 'external', href: target };
     }
     return null;
 }
@@ -921,6 +2850,8 @@ function escapeHtmlAttr(value) {
 }
 
 function buildFootnoteOverlayHtml(totalPages, finalFootnotePlans, options) {
+    const pageWidthMm = options.pageWidthMm || 210;
+    const pageHeightMm = options.pageHeightMm || 297;
     const byPage = new Map();
     (Array.isArray(finalFootnotePlans) ? finalFootnotePlans : []).forEach(plan => {
         if (!plan || !Number.isFinite(plan.finalPage)) return;
@@ -946,7 +2877,7 @@ function buildFootnoteOverlayHtml(totalPages, finalFootnotePlans, options) {
         return normalizedSegments.map(segment => {
             const text = escapeHtml(String((segment && segment.text) || ''));
             const hrefRaw = segment && typeof segment.href === 'string' ? segment.href.trim() : '';
-            const href = hrefRaw && !shouldSuppressLinkHref(hrefRaw, config && config.baseUrl) ? hrefRaw : '';
+            const href = hrefRaw ? (applyLinkPolicy(hrefRaw, options.baseUrl, options.linkPolicy).href || '') : '';
             if (href) {
                 return `<a href="${escapeHtmlAttr(href)}">${text}</a>`;
             }
@@ -991,12 +2922,12 @@ function buildFootnoteOverlayHtml(totalPages, finalFootnotePlans, options) {
 <head>
   <meta charset="utf-8" />
   <style>
-    @page { size: A4; margin: 0; }
+    @page { size: ${pageWidthMm}mm ${pageHeightMm}mm; margin: 0; }
     html, body { margin: 0; padding: 0; background: transparent; }
     body { font-family: Arial, Helvetica, sans-serif; color: #2f2f2f; }
     .overlay-page {
-      width: 210mm;
-      height: 297mm;
+      width: ${pageWidthMm}mm;
+      height: ${pageHeightMm}mm;
       position: relative;
       overflow: hidden;
       page-break-after: always;
@@ -1079,28 +3010,16 @@ async function estimateFootnoteAreaMmInBrowser(page, pagePlans, options) {
         return { maxRequiredMm: 0, perPageMm: new Map() };
     }
 
-    const result = await page.evaluate((inputPlans, measureOptions, blockedOrigins) => {
-        const blockedOriginSet = new Set(
-            (Array.isArray(blockedOrigins) ? blockedOrigins : [])
-                .map(value => String(value || '').trim().toLowerCase())
-                .filter(Boolean)
-        );
-        const shouldSuppressHref = (href) => {
-            const raw = String(href || '').trim();
-            if (!raw || raw.startsWith('#') || blockedOriginSet.size === 0) return false;
-            try {
-                return blockedOriginSet.has(new URL(raw, window.location.href).origin.toLowerCase());
-            } catch (_) {
-                return false;
-            }
-        };
+    await installLinkPolicyMatcher(page, options.linkPolicy);
+    const result = await page.evaluate((inputPlans, measureOptions) => {
+        const shouldSuppressHref = window.__exportLinkPolicy.isStripped;
         const pxToMm = 25.4 / 96;
         const root = document.createElement('div');
         root.id = 'export-footnote-measure-root';
         root.style.position = 'fixed';
         root.style.left = '-20000px';
         root.style.top = '0';
-        root.style.width = `${210 - measureOptions.leftMarginMm - measureOptions.rightMarginMm}mm`;
+        root.style.width = `${(measureOptions.pageWidthMm || 210) - measureOptions.leftMarginMm - measureOptions.rightMarginMm}mm`;
         root.style.pointerEvents = 'none';
         root.style.opacity = '0';
         root.style.zIndex = '-1';
@@ -1178,7 +3097,7 @@ async function estimateFootnoteAreaMmInBrowser(page, pagePlans, options) {
                 displayLabel: getFootnoteDisplayLabel(item)
             }))
             : []
-    })), options, BLOCKED_LINK_ORIGINS_LIST);
+    })), options);
 
     return {
         maxRequiredMm: Number(result.maxRequiredMm) || 0,
@@ -1234,7 +3153,10 @@ async function injectFootnotesOverlayIntoPdf(browser, pdfPath, finalFootnotePlan
         });
         await overlayPage.pdf({
             path: overlayPdfPath,
-            format: 'A4',
+            // Tagged output wraps each overlay page in one Note element instead.
+            tagged: options.tagged ? false : undefined,
+            width: `${options.pageWidthMm || 210}mm`,
+            height: `${options.pageHeightMm || 297}mm`,
             printBackground: true,
             preferCSSPageSize: true,
             displayHeaderFooter: false,
@@ -1257,6 +3179,8 @@ async function injectFootnotesOverlayIntoPdf(browser, pdfPath, finalFootnotePlan
         overlayIndices
     );
     const basePages = basePdfDoc.getPages();
+    const structTreeRoot = options.tagged ? getStructTreeRoot(basePdfDoc) : null;
+    const footnotePageNumbers = new Set(finalFootnotePlans.map(plan => Number(plan.finalPage)));
 
     for (let pageIndex = 0; pageIndex < pagesToMerge; pageIndex += 1) {
         const basePage = basePages[pageIndex];
@@ -1264,7 +3188,13 @@ async function injectFootnotesOverlayIntoPdf(browser, pdfPath, finalFootnotePlan
         const copiedOverlayPage = copiedOverlayPages[pageIndex];
         if (!basePage || !embeddedOverlayPage || !copiedOverlayPage) continue;
 
-        basePage.drawPage(embeddedOverlayPage);
+        let noteRef = null;
+        if (options.tagged) {
+            const noteId = footnotePageNumbers.has(pageIndex + 1) ? `export-footnotes-page-${pageIndex + 1}` : null;
+            noteRef = drawTaggedOverlay(basePdfDoc, basePage, embeddedOverlayPage, noteId);
+        } else {
+            basePage.drawPage(embeddedOverlayPage);
+        }
 
         const overlayAnnotsRef = copiedOverlayPage.node.get(PDFName.of('Annots'));
         if (overlayAnnotsRef) {
@@ -1279,6 +3209,9 @@ async function injectFootnotesOverlayIntoPdf(browser, pdfPath, finalFootnotePlan
                         annotDict.set(PDFName.of('P'), basePage.ref);
                     }
                     baseAnnots.push(annotRef);
+                    if (noteRef && annotRef instanceof PDFRef) {
+                        tagPdfAnnotation(basePdfDoc, structTreeRoot, basePage, annotRef, noteRef);
+                    }
                 }
             }
         }
@@ -1318,6 +3251,178 @@ async function injectFootnotesOverlayIntoPdf(browser, pdfPath, finalFootnotePlan
     }
 }
 
+// Swap page 1 of pdfPath for page 1 of replacementPdfPath, keeping named destinations
+// that pointed at the old page.
+async function replaceFirstPdfPage(pdfPath, replacementPdfPath) {
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath));
+    const replacementDoc = await PDFDocument.load(fs.readFileSync(replacementPdfPath));
+    if (pdfDoc.getPageCount() === 0 || replacementDoc.getPageCount() === 0) return false;
+
+    const oldPageRef = pdfDoc.getPage(0).ref;
+    const [newPage] = await pdfDoc.copyPages(replacementDoc, [0]);
+    pdfDoc.removePage(0);
+    pdfDoc.insertPage(0, newPage);
+
+    const destsRef = pdfDoc.catalog.dict.get(PDFName.of('Dests'));
+    const dests = destsRef ? pdfDoc.context.lookup(destsRef) : null;
+    if (dests && typeof dests.keys === 'function') {
+        dests.keys().forEach(key => {
+            const destination = pdfDoc.context.lookup(dests.get(key));
+            if (destination instanceof PDFArray && destination.get(0) === oldPageRef) {
+                destination.set(0, newPage.ref);
+            }
+        });
+    }
+
+    fs.writeFileSync(pdfPath, await pdfDoc.save());
+    return true;
+}
+
+// Links to sibling PDFs are printed as URLs on this placeholder origin and turned
+// into GoToR (open another PDF) actions afterwards: Chromium would resolve a relative
+// href against the wiki URL.
+const PDF_LINK_PLACEHOLDER_ORIGIN = 'https://pdf-link.invalid';
+
+function toPdfLinkWikiPath(pathname) {
+    let value = safeDecodeURIComponent(String(pathname || ''));
+    if (value.length > 1) value = value.replace(/\/+$/, '');
+    return (value || '/').toLowerCase();
+}
+
+// Relative POSIX path from the current PDF's folder to the target PDF.
+function relativePdfHref(fromPdf, toPdf) {
+    return path.posix.relative(path.posix.dirname(fromPdf), toPdf) || path.posix.basename(toPdf);
+}
+
+async function convertPdfPlaceholderLinks(pdfPath) {
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath));
+    const context = pdfDoc.context;
+    let converted = 0;
+
+    pdfDoc.getPages().forEach(page => {
+        const annots = context.lookup(page.node.get(PDFName.of('Annots')));
+        if (!(annots instanceof PDFArray)) return;
+        for (let index = 0; index < annots.size(); index++) {
+            const annot = context.lookup(annots.get(index));
+            if (!annot || typeof annot.get !== 'function') continue;
+            const action = context.lookup(annot.get(PDFName.of('A')));
+            if (!action || typeof action.get !== 'function') continue;
+            const uriObject = context.lookup(action.get(PDFName.of('URI')));
+            if (!uriObject || typeof uriObject.decodeText !== 'function') continue;
+            const uri = uriObject.decodeText();
+            if (!uri.startsWith(PDF_LINK_PLACEHOLDER_ORIGIN)) continue;
+
+            let url;
+            try {
+                url = new URL(uri);
+            } catch (_) {
+                continue;
+            }
+            const target = url.searchParams.get('pdf');
+            if (!target) continue;
+            const destName = url.hash ? safeDecodeURIComponent(url.hash.slice(1)) : '';
+            const remoteAction = context.obj({
+                S: 'GoToR',
+                F: context.obj({ Type: 'Filespec', F: PDFString.of(target), UF: PDFHexString.fromText(target) }),
+                D: destName ? PDFHexString.fromText(destName) : context.obj([0, PDFName.of('Fit')]),
+                NewWindow: false
+            });
+            annot.set(PDFName.of('A'), remoteAction);
+            converted += 1;
+        }
+    });
+
+    if (converted > 0) {
+        fs.writeFileSync(pdfPath, await pdfDoc.save());
+    }
+    return converted;
+}
+
+// Nest flat heading entries ({ title, level, page, destName }) by heading level.
+// A level 2 entry following a level 1 entry becomes its child, and so on.
+function buildOutlineTree(entries) {
+    const roots = [];
+    const stack = [];
+    entries.forEach(entry => {
+        const node = { ...entry, children: [] };
+        while (stack.length && stack[stack.length - 1].level >= node.level) {
+            stack.pop();
+        }
+        if (stack.length) {
+            stack[stack.length - 1].children.push(node);
+        } else {
+            roots.push(node);
+        }
+        stack.push(node);
+    });
+    return roots;
+}
+
+// Write a PDF outline (bookmarks sidebar). Every entry points at a named destination;
+// destinations Chromium did not emit (headings not linked from the printed TOC) are
+// created at the top of the heading's page. Top-level entries are expanded.
+async function addPdfOutline(pdfPath, entries) {
+    if (!Array.isArray(entries) || entries.length === 0) return 0;
+
+    const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath));
+    const pages = pdfDoc.getPages();
+    const usable = entries.filter(entry => {
+        const pageIndex = Number(entry.page) - 1;
+        return entry.title && entry.destName && Number.isInteger(pageIndex) && pageIndex >= 0 && pageIndex < pages.length;
+    });
+    if (!usable.length) return 0;
+
+    const existingNames = collectExistingDestinationNames(pdfDoc);
+    const destsDict = ensurePdfDestinationsDict(pdfDoc);
+    usable.forEach(entry => {
+        if (existingNames.has(entry.destName)) return;
+        const page = pages[entry.page - 1];
+        if (setPdfNamedDestination(pdfDoc, destsDict, entry.destName, page, 0, page.getHeight())) {
+            existingNames.add(entry.destName);
+        }
+    });
+
+    const context = pdfDoc.context;
+    const writeLevel = (nodes, parentRef, expanded) => {
+        const refs = nodes.map(() => context.nextRef());
+        let visibleCount = 0;
+        nodes.forEach((node, index) => {
+            const dict = context.obj({});
+            dict.set(PDFName.of('Title'), PDFHexString.fromText(node.title));
+            dict.set(PDFName.of('Parent'), parentRef);
+            dict.set(PDFName.of('Dest'), getPdfNameOrNull(node.destName));
+            if (index > 0) dict.set(PDFName.of('Prev'), refs[index - 1]);
+            if (index < nodes.length - 1) dict.set(PDFName.of('Next'), refs[index + 1]);
+            if (node.children.length) {
+                const childResult = writeLevel(node.children, refs[index], false);
+                dict.set(PDFName.of('First'), childResult.refs[0]);
+                dict.set(PDFName.of('Last'), childResult.refs[childResult.refs.length - 1]);
+                // Positive count: open item; negative: closed item with that many children.
+                dict.set(PDFName.of('Count'), context.obj(expanded ? childResult.visibleCount : -node.children.length));
+                if (expanded) visibleCount += childResult.visibleCount;
+            }
+            context.assign(refs[index], dict);
+            visibleCount += 1;
+        });
+        return { refs, visibleCount };
+    };
+
+    const outlinesRef = context.nextRef();
+    const roots = buildOutlineTree(usable);
+    const rootResult = writeLevel(roots, outlinesRef, true);
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: rootResult.refs[0],
+        Last: rootResult.refs[rootResult.refs.length - 1],
+        Count: rootResult.visibleCount
+    }));
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+    fs.writeFileSync(pdfPath, await pdfDoc.save());
+    return usable.length;
+}
+
 async function injectFootnotesIntoPdf(pdfPath, finalFootnotePlans, options) {
     if (!Array.isArray(finalFootnotePlans) || finalFootnotePlans.length === 0) return;
 
@@ -1390,7 +3495,7 @@ async function injectFootnotesIntoPdf(pdfPath, finalFootnotePlans, options) {
                     });
 
                     if (fragment.href && /\S/.test(fragment.text)) {
-                        const linkSpec = resolveFootnoteLinkSpec(fragment.href, existingDestinationNames);
+                        const linkSpec = resolveFootnoteLinkSpec(fragment.href, existingDestinationNames, options.baseUrl, options.linkPolicy);
                         if (linkSpec) {
                             addPdfLinkAnnotation(pdfDoc, page, [
                                 cursorX,
@@ -1415,46 +3520,290 @@ async function injectFootnotesIntoPdf(pdfPath, finalFootnotePlans, options) {
     fs.writeFileSync(pdfPath, outputBytes);
 }
 
+// Minimal ZIP writer for the EPUB container (no zip dependency is bundled).
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// entries: [{ name, data, store }]; `store` writes the entry uncompressed.
+function createZipArchive(entries) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((Math.max(1980, now.getFullYear()) - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const method = entry.store ? 0 : 8;
+        const body = entry.store ? data : zlib.deflateRawSync(data);
+        const crc = crc32(data);
+        const flags = /[^\x20-\x7E]/.test(entry.name) ? 0x0800 : 0;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, body);
+        centralParts.push(central, name);
+        offset += local.length + name.length + body.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+const EPUB_IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
+const EPUB_STYLESHEET = `
+body { font-family: serif; line-height: 1.5; margin: 0 4%; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.25; page-break-after: avoid; break-after: avoid; }
+img, svg { max-width: 100%; height: auto; }
+table { border-collapse: collapse; max-width: 100%; margin: 1em 0; }
+th, td { border: 1px solid #999; padding: 0.25em 0.5em; vertical-align: top; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+blockquote { margin: 1em 0; padding: 0.5em 1em; border-left: 4px solid #ccc; }
+.export-epub-cover { text-align: center; margin-top: 30%; }
+.export-epub-note { font-size: 0.9em; }
+.export-missing-image { font-style: italic; color: #666; }
+`;
+
+function wrapEpubXhtml(title, language, bodyHtml) {
+    const lang = escapeHtml(language);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${bodyHtml}
+</body>
+</html>
+`;
+}
+
+function buildEpubNavList(nodes) {
+    if (!nodes.length) return '';
+    const items = nodes.map(node => (
+        `<li><a href="${escapeHtml(node.href)}">${escapeHtml(node.title)}</a>${buildEpubNavList(node.children)}</li>`
+    ));
+    return `<ol>${items.join('')}</ol>`;
+}
+
+// Footnote text comes as { text, href } segments from the footnote extraction pass.
+function buildEpubFootnoteAside(number, segments) {
+    const text = (segments || []).map(segment => {
+        const html = escapeHtml(segment.text).replace(/\n+/g, '<br/>');
+        return segment.href ? `<a href="${escapeHtml(segment.href)}">${html}</a>` : html;
+    }).join('').replace(/^(<br\/>)+|(<br\/>)+$/g, '');
+    return `<aside epub:type="footnote" id="epub-note-${number}" class="export-epub-note"><p>${number}. ${text}</p></aside>`;
+}
+
+// Stable urn:uuid identifier derived from the page URL, so re-exports update the same book.
+function buildEpubIdentifier(source) {
+    const hex = crypto.createHash('sha1').update(String(source || '')).digest('hex');
+    const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Package an EPUB 3 book: optional cover page, nav document and one content document.
+function createEpubArchive(book) {
+    const lang = book.language || 'en';
+    const files = [
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        {
+            name: 'META-INF/container.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/package.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`
+        },
+        { name: 'OEBPS/style.css', data: EPUB_STYLESHEET }
+    ];
+    const manifestItems = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="style" href="style.css" media-type="text/css"/>'
+    ];
+    const spineItems = [];
+
+    if (book.coverHtml) {
+        files.push({ name: 'OEBPS/cover.xhtml', data: wrapEpubXhtml(book.title, lang, book.coverHtml) });
+        manifestItems.push('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+        spineItems.push('<itemref idref="cover"/>');
+    }
+
+    const navTitle = book.tocTitle || book.title;
+    const navHtml = `<nav epub:type="toc" id="toc"><h1>${escapeHtml(navTitle)}</h1>${buildEpubNavList(book.navTree)
+        || `<ol><li><a href="content.xhtml">${escapeHtml(book.title)}</a></li></ol>`}</nav>`;
+    files.push({ name: 'OEBPS/nav.xhtml', data: wrapEpubXhtml(navTitle, lang, navHtml) });
+    // Without a printed TOC the nav document is only used by the reader's contents menu.
+    spineItems.push(book.tocEnabled ? '<itemref idref="nav"/>' : '<itemref idref="nav" linear="no"/>');
+
+    files.push({ name: 'OEBPS/content.xhtml', data: wrapEpubXhtml(book.title, lang, book.contentHtml) });
+    const contentProperties = /<svg[\s>]/i.test(book.contentHtml) ? ' properties="svg"' : '';
+    manifestItems.push(`<item id="content" href="content.xhtml" media-type="application/xhtml+xml"${contentProperties}/>`);
+    spineItems.push('<itemref idref="content"/>');
+
+    (book.images || []).forEach(image => {
+        files.push({ name: `OEBPS/${image.href}`, data: image.buffer, store: image.mimeType !== 'image/svg+xml' });
+        manifestItems.push(`<item id="${image.id}" href="${image.href}" media-type="${image.mimeType}"/>`);
+    });
+
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    files.splice(2, 0, {
+        name: 'OEBPS/package.opf',
+        data: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeHtml(lang)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeHtml(book.identifier)}</dc:identifier>
+<dc:title>${escapeHtml(book.title)}</dc:title>
+<dc:language>${escapeHtml(lang)}</dc:language>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifestItems.join('\n')}
+</manifest>
+<spine>
+${spineItems.join('\n')}
+</spine>
+</package>
+`
+    });
+
+    return createZipArchive(files);
+}
+
+function resolveChromiumExecutablePath() {
+    if (process.platform === 'win32') {
+        return 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
+    }
+    if (process.platform === 'darwin') {
+        return '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+    }
+
+    // Linux - try common Chrome/Chromium paths
+    const possiblePaths = [
+        '/usr/bin/google-chrome',
+        '/usr/bin/google-chrome-stable',
+        '/usr/bin/chromium-browser',
+        '/usr/bin/chromium',
+        '/snap/bin/chromium',
+        '/opt/google/chrome/chrome',
+        '/usr/local/bin/chrome'
+    ];
+
+    const executablePath = possiblePaths.find(candidate => fs.existsSync(candidate));
+    if (!executablePath) {
+        throw new Error(
+            `Chrome/Chromium not found. Please install Chrome or Chromium browser. Tried paths: ${possiblePaths.join(', ')}`
+        );
+    }
+    return executablePath;
+}
+
+// Launch a Chromium instance. export-all calls this once and shares the browser
+// between WikiExporter instances, each rendering its page in a fresh tab.
+async function launchBrowser(options = {}) {
+    return puppeteer.launch({
+        headless: options.headless !== false,
+        executablePath: resolveChromiumExecutablePath(),
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+}
+
 // Основной класс для экспорта
 class WikiExporter {
-    constructor(config) {
+    constructor(config, options = {}) {
         this.config = config;
         this.resources = new Map();
+        // contentSource "graphql": locally built article HTML and its revision keyed by page URL.
+        this.localDocuments = new Map();
+        // Revision of the exported page when versionId/asOf is set.
+        this.pageRevision = null;
+        // GraphQL record of the exported page (contentSource "graphql"), reused for the PDF metadata.
+        this.pageSource = null;
+        // Chapters of the book being exported by exportBook, null for a single page.
+        this.bookChapters = null;
+        // Wiki assets and embedded pages the export loaded, keyed by URL (see dependencyFile).
+        this.dependencies = new Map();
+        this.sharedBrowser = options.browser || null;
+        this.ownsBrowser = false;
+        // export-all passes a prefixed logger so output of parallel pages stays readable.
+        this.logger = options.logger || console;
+    }
+
+    // Temporary HTML/styles/resources go to workDir (defaults to outputDir), so several
+    // exporters writing PDFs into the same folder do not clobber each other's files.
+    getWorkDir() {
+        return this.config.workDir || this.config.outputDir;
     }
 
     async init() {
-        // Use Electron's Chromium with Linux-compatible paths
-        let executablePath;
-        if (process.platform === 'win32') {
-            executablePath = 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
-        } else if (process.platform === 'darwin') {
-            executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+        if (this.sharedBrowser) {
+            this.browser = this.sharedBrowser;
         } else {
-            // Linux - try common Chrome/Chromium paths
-            const fs = require('fs');
-            const possiblePaths = [
-                '/usr/bin/google-chrome',
-                '/usr/bin/google-chrome-stable',
-                '/usr/bin/chromium-browser',
-                '/usr/bin/chromium',
-                '/snap/bin/chromium',
-                '/opt/google/chrome/chrome',
-                '/usr/local/bin/chrome'
-            ];
-            
-            executablePath = possiblePaths.find(path => fs.existsSync(path));
-            if (!executablePath) {
-                console.error('Chrome/Chromium not found. Please install Chrome or Chromium browser.');
-                console.error('Tried paths:', possiblePaths);
-                process.exit(1);
-            }
+            this.browser = await launchBrowser({ headless: this.config.headless });
+            this.ownsBrowser = true;
         }
-
-        this.browser = await puppeteer.launch({
-            headless: this.config.headless !== false,
-            executablePath,
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
         this.page = await this.browser.newPage();
         if (this.config.apiKey) {
             await this.page.setExtraHTTPHeaders({
@@ -1469,12 +3818,46 @@ class WikiExporter {
 
     async setupRequestInterception() {
         await this.page.setRequestInterception(true);
-        this.page.on('request', request => request.continue());
+        this.page.on('request', this.handleRequest.bind(this));
         this.page.on('response', this.handleResponse.bind(this));
     }
 
+    // Page URLs registered by registerLocalArticle are answered from memory; every
+    // other request (images, fonts) goes to the wiki as usual.
+    async handleRequest(request) {
+        const local = request.isNavigationRequest() ? this.localDocuments.get(request.url()) : undefined;
+        if (local) {
+            await request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: local.html });
+            return;
+        }
+        await request.continue();
+    }
+
+    async registerLocalArticle(articlePath, pageRef = {}, revisionRef = {}) {
+        const url = new URL(`${this.config.baseUrl}${articlePath}`).href;
+        if (!this.localDocuments.has(url)) {
+            const source = revisionRef.versionId || revisionRef.asOf
+                ? await fetchWikiPageRevision(this.config, articlePath, pageRef, revisionRef)
+                : await fetchWikiPageSource(this.config, articlePath, pageRef);
+            this.localDocuments.set(url, {
+                html: buildLocalArticleHtml(source),
+                revision: source.revision || null,
+                page: { ...source, content: undefined, render: undefined }
+            });
+            this.logger.log(`Fetched page source via GraphQL: ${articlePath} (${source.contentType || 'unknown'} content)`);
+            if (source.revision && source.revision.versionId) {
+                this.logger.log(`Using version ${source.revision.versionId} of ${source.revision.versionDate || 'unknown date'}.`);
+            }
+        }
+        const { revision, page } = this.localDocuments.get(url);
+        return { url, revision, page };
+    }
+
     async handleResponse(response) {
         const url = response.url();
+        this.trackDependency(response).catch(error => {
+            this.logger.log(`Error tracking ${url}:`, error.message);
+        });
         const type = getResourceType(url);
         if (type) {
             try {
@@ -1487,56 +3870,289 @@ class WikiExporter {
                     });
                 }
             } catch (e) {
-                console.log(`Error loading ${url}:`, e.message);
+                this.logger.log(`Error loading ${url}:`, e.message);
             }
         }
     }
 
+    async trackDependency(response) {
+        if (!this.config.dependencyFile) return;
+        const request = response.request();
+        const dependency = classifyWikiDependency(response.url(), this.config.baseUrl, request.resourceType());
+        if (!dependency || !response.ok()) return;
+        const { kind, wikiPath } = dependency;
+        if (kind === 'page') {
+            if (request.frame() === this.page.mainFrame()) return;
+            this.dependencies.set(response.url(), { kind, path: safeDecodeURIComponent(wikiPath) });
+            return;
+        }
+        const buffer = await response.buffer().catch(() => null);
+        const headers = response.headers();
+        this.dependencies.set(response.url(), {
+            kind,
+            url: response.url(),
+            etag: headers.etag || null,
+            lastModified: headers['last-modified'] || null,
+            sha256: buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : null
+        });
+    }
+
+    // export-all keeps the list in the manifest and rebuilds the page when one of them changes.
+    writeDependencyFile() {
+        if (!this.config.dependencyFile) return;
+        const entries = Array.from(this.dependencies.values());
+        fs.writeFileSync(this.config.dependencyFile, JSON.stringify({
+            assets: entries.filter(entry => entry.kind === 'asset').map(({ kind, ...asset }) => asset),
+            pages: Array.from(new Set(entries.filter(entry => entry.kind === 'page').map(entry => entry.path)))
+        }, null, 2), 'utf8');
+    }
+
     async export() {
         try {
             // Create output directory structure
             this.createDirectoryStructure();
 
-            // Login and navigate to article
-            await this.loginToWiki();
-            await this.navigateToArticle();
+            // Login and navigate to article
+            await this.loginToWiki();
+            await this.navigateToArticle();
+
+            // Save all resources
+            await this.saveAllResources();
+            await this.saveStyles();
+            await this.saveHtml();
+            const outputPath = this.config.outputFormat === 'epub' ? await this.saveEpub() : await this.savePdf();
+            this.writeDependencyFile();
+
+            this.logger.log('Page has been successfully exported to:', this.config.outputDir);
+            this.logger.log(`${this.config.outputFormat.toUpperCase()} file has been saved as:`, outputPath);
+
+            // Clean up temporary files (keep only PDF)
+            await this.cleanupTempFiles(outputPath);
+        } catch (error) {
+            this.logger.error('Export error:', error);
+            throw error;
+        } finally {
+            await this.cleanup();
+        }
+    }
+
+    // Render several wiki pages as chapters of one PDF. Chapters are copied into the
+    // first chapter's page, so savePdf builds a single cover, one TOC spanning every
+    // chapter, continuous page numbers and per-page footnotes as for a normal page.
+    async exportBook(chapters, bookOptions = {}) {
+        if (!Array.isArray(chapters) || chapters.length === 0) {
+            throw new Error('Book export needs at least one chapter.');
+        }
+        try {
+            this.bookChapters = chapters;
+            this.createDirectoryStructure();
+            await this.loginToWiki();
+            if (this.config.asOf) {
+                this.pageRevision = { versionId: null, versionDate: null, asOf: this.config.asOf };
+            }
+            await this.assembleBook(chapters, bookOptions);
+            const outputPath = this.config.outputFormat === 'epub' ? await this.saveEpub() : await this.savePdf();
+
+            this.logger.log(`Book with ${chapters.length} chapter(s) has been saved as:`, outputPath);
+            await this.cleanupTempFiles(outputPath);
+            return outputPath;
+        } catch (error) {
+            this.logger.error('Book export error:', error);
+            throw error;
+        } finally {
+            await this.cleanup();
+        }
+    }
+
+    async assembleBook(chapters, bookOptions) {
+        const chapterTargets = chapters.map((chapter, index) => ({
+            path: chapter.path,
+            anchorId: `export-book-chapter-${index + 1}`
+        }));
+        const chapterTab = await this.browser.newPage();
+        const fragments = [];
+        try {
+            if (this.config.apiKey) {
+                await chapterTab.setExtraHTTPHeaders({
+                    Authorization: `Bearer ${this.config.apiKey}`
+                });
+            }
+            await chapterTab.setViewport({ width: 1600, height: 900, deviceScaleFactor: 1 });
+            const useLocalSource = this.config.contentSource === 'graphql';
+            if (useLocalSource) {
+                await chapterTab.setRequestInterception(true);
+                chapterTab.on('request', this.handleRequest.bind(this));
+            }
+
+            for (let index = 0; index < chapters.length; index++) {
+                const chapter = chapters[index];
+                this.logger.log(`Collecting chapter ${index + 1}/${chapters.length}: ${chapter.path}`);
+                // A version id belongs to one page, so chapters only follow asOf.
+                const chapterUrl = useLocalSource
+                    ? (await this.registerLocalArticle(chapter.path, { id: chapter.id, locale: chapter.locale }, { asOf: this.config.asOf })).url
+                    : `${this.config.baseUrl}${chapter.path}`;
+                await chapterTab.goto(chapterUrl, {
+                    waitUntil: 'networkidle2',
+                    timeout: this.config.timeout
+                });
+                const html = await chapterTab.evaluate((selectors, idPrefix, targets) => {
+                    const root = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+                    if (!root) return null;
+                    const clone = root.cloneNode(true);
+                    clone.querySelectorAll('script, noscript').forEach(node => node.remove());
+
+                    // Absolute URLs keep images and links working once the markup moves to another page.
+                    clone.querySelectorAll('img').forEach(img => {
+                        const rawSrc =
+                            img.getAttribute('data-src') ||
+                            img.getAttribute('data-lazy-src') ||
+                            img.getAttribute('data-original') ||
+                            img.getAttribute('src');
+                        if (rawSrc && !rawSrc.startsWith('data:')) {
+                            try { img.setAttribute('src', new URL(rawSrc, window.location.href).href); } catch (_) { /* keep */ }
+                        }
+                        img.removeAttribute('srcset');
+                        img.removeAttribute('loading');
+                    });
+
+                    // Chapters share one document, so ids get a per-chapter prefix. Links to
+                    // other chapters of the same book become in-document links.
+                    const targetByPath = new Map(targets.map(target => [target.path.toLowerCase(), target]));
+                    const normalizePath = (value) => {
+                        const trimmed = String(value || '').replace(/\/+$/, '');
+                        return (trimmed || '/').toLowerCase();
+                    };
+                    clone.querySelectorAll('a[href]').forEach(link => {
+                        const rawHref = String(link.getAttribute('href') || '').trim();
+                        if (!rawHref) return;
+                        if (rawHref.startsWith('#')) {
+                            if (rawHref.length > 1) link.setAttribute('href', `#${idPrefix}${rawHref.slice(1)}`);
+                            return;
+                        }
+                        let url;
+                        try { url = new URL(rawHref, window.location.href); } catch (_) { return; }
+                        const target = url.origin === window.location.origin
+                            ? targetByPath.get(normalizePath(url.pathname))
+                            : null;
+                        if (target) {
+                            const hash = url.hash ? url.hash.slice(1) : '';
+                            link.setAttribute('href', hash ? `#${target.idPrefix}${hash}` : `#${target.anchorId}`);
+                            return;
+                        }
+                        link.setAttribute('href', url.href);
+                    });
+                    clone.querySelectorAll('[id]').forEach(node => {
+                        node.setAttribute('id', `${idPrefix}${node.getAttribute('id')}`);
+                    });
+                    clone.querySelectorAll('[name]').forEach(node => {
+                        if (node.tagName && node.tagName.toLowerCase() === 'a') {
+                            node.setAttribute('name', `${idPrefix}${node.getAttribute('name')}`);
+                        }
+                    });
+
+                    // Demote headings one level so chapter titles (H1) sit above the page sections.
+                    Array.from(clone.querySelectorAll('h1, h2, h3, h4, h5')).forEach(heading => {
+                        const level = Number(heading.tagName.slice(1));
+                        const demoted = document.createElement(`h${level + 1}`);
+                        Array.from(heading.attributes).forEach(attr => demoted.setAttribute(attr.name, attr.value));
+                        while (heading.firstChild) demoted.appendChild(heading.firstChild);
+                        heading.parentNode.replaceChild(demoted, heading);
+                    });
 
-            // Save all resources
-            await this.saveAllResources();
-            await this.saveStyles();
-            await this.saveHtml();
-            const pdfPath = await this.savePdf();
+                    return clone.innerHTML;
+                }, BOOK_CONTENT_SELECTORS, `ch${index + 1}-`, chapterTargets.map((target, targetIndex) => ({
+                    path: target.path.replace(/\/+$/, '') || '/',
+                    anchorId: target.anchorId,
+                    idPrefix: `ch${targetIndex + 1}-`
+                })));
 
-            console.log('Page has been successfully exported to:', this.config.outputDir);
-            console.log('PDF file has been saved as:', pdfPath);
+                if (html === null) {
+                    this.logger.warn(`Chapter ${chapter.path} has no article content, skipping.`);
+                    continue;
+                }
+                fragments.push({
+                    title: chapter.title || chapter.path,
+                    anchorId: chapterTargets[index].anchorId,
+                    html
+                });
+            }
+        } finally {
+            await chapterTab.close().catch(() => null);
+        }
 
-            // Clean up temporary files (keep only PDF)
-            await this.cleanupTempFiles(pdfPath);
+        if (!fragments.length) {
+            throw new Error('None of the book chapters produced any content.');
+        }
 
-            // Run cleanup after successful export
-            console.log('\nRunning cleanup...');
-            cleanup();
+        // The first chapter's page hosts the book: its styles apply to every chapter.
+        this.config.articlePath = chapters[0].path;
+        await this.navigateToArticle();
+        const assembled = await this.page.evaluate((selectors, book, chapterFragments) => {
+            const host = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+            if (!host) return false;
+            host.innerHTML = '';
+
+            const bookTitle = document.createElement('h1');
+            bookTitle.className = 'export-book-title';
+            bookTitle.textContent = book.title;
+            host.appendChild(bookTitle);
+            if (book.subtitle) {
+                const subtitle = document.createElement('h2');
+                subtitle.className = 'export-book-subtitle';
+                subtitle.textContent = book.subtitle;
+                host.appendChild(subtitle);
+            }
 
-        } catch (error) {
-            console.error('Export error:', error);
-            throw error;
-        } finally {
-            await this.cleanup();
+            chapterFragments.forEach((fragment, index) => {
+                const section = document.createElement('section');
+                section.className = 'export-book-chapter';
+                if (index > 0) {
+                    section.style.setProperty('break-before', 'page', 'important');
+                    section.style.setProperty('page-break-before', 'always', 'important');
+                    section.setAttribute('data-user-forced-page-break', 'before');
+                }
+                const heading = document.createElement('h1');
+                heading.className = 'export-book-chapter-title';
+                heading.id = fragment.anchorId;
+                heading.textContent = fragment.title;
+                section.appendChild(heading);
+
+                const body = document.createElement('div');
+                body.className = 'export-book-chapter-body';
+                body.innerHTML = fragment.html;
+                section.appendChild(body);
+                host.appendChild(section);
+            });
+            return true;
+        }, BOOK_CONTENT_SELECTORS, {
+            title: bookOptions.title || fragments[0].title,
+            subtitle: bookOptions.subtitle || ''
+        }, fragments);
+
+        if (!assembled) {
+            throw new Error(`Could not find the article container on ${chapters[0].path} to host the book.`);
         }
     }
 
     createDirectoryStructure() {
         if (!fs.existsSync(this.config.outputDir)) {
-            fs.mkdirSync(this.config.outputDir);
+            fs.mkdirSync(this.config.outputDir, { recursive: true });
+        }
+        const workDir = this.getWorkDir();
+        if (!fs.existsSync(path.join(workDir, 'styles'))) {
             ['fonts', 'images', 'styles'].forEach(folder => {
-                fs.mkdirSync(path.join(this.config.outputDir, folder));
+                fs.mkdirSync(path.join(workDir, folder), { recursive: true });
             });
         }
     }
 
     async loginToWiki() {
         if (this.config.skipLogin) {
-            console.log('Skipping login step.');
+            this.logger.log('Skipping login step.');
+            return;
+        }
+        if (this.config.contentSource === 'graphql') {
+            this.logger.log('Skipping login step: the page source comes from the GraphQL API.');
             return;
         }
 
@@ -1618,27 +4234,489 @@ class WikiExporter {
     }
 
     async navigateToArticle() {
-        await this.page.goto(`${this.config.baseUrl}${this.config.articlePath}`, {
+        const pageMeta = this.config.pageMeta || {};
+        let url = `${this.config.baseUrl}${this.config.articlePath}`;
+        if (this.config.contentSource === 'graphql') {
+            const registered = await this.registerLocalArticle(
+                this.config.articlePath,
+                { id: this.config.pageId, locale: pageMeta.locale },
+                { versionId: this.config.versionId, asOf: this.config.asOf }
+            );
+            url = registered.url;
+            this.pageRevision = registered.revision;
+            this.pageSource = registered.page;
+        }
+        await this.page.goto(url, {
             waitUntil: 'networkidle2',
             timeout: this.config.timeout
         });
     }
 
+    // Title, author, tags and dates for the PDF metadata. Single pages are looked up via
+    // GraphQL when an API key is set (already done for contentSource "graphql"); a book
+    // and pages without API access fall back to pageMeta and the printed page.
+    async collectDocumentMetadata(title) {
+        const pageMeta = this.config.pageMeta || {};
+        let record = this.pageSource;
+        if (!record && !this.bookChapters && this.config.apiKey) {
+            try {
+                record = await fetchWikiPageSource(this.config, this.config.articlePath, {
+                    id: this.config.pageId,
+                    locale: pageMeta.locale
+                }, WIKI_PAGE_METADATA_FIELDS);
+            } catch (error) {
+                this.logger.warn('Page metadata not available via GraphQL:', error.message);
+            }
+        }
+        record = record || {};
+        const revision = this.pageRevision;
+        const language = record.locale || pageMeta.locale
+            || await this.page.evaluate(() => document.documentElement.lang || '').catch(() => '');
+        const tags = Array.isArray(record.tags)
+            ? record.tags.map(tag => (tag && typeof tag === 'object' ? tag.title || tag.tag : tag))
+            : [];
+        const wikiPath = pageMeta.path || this.config.articlePath;
+        return {
+            title: this.bookChapters ? title : (record.title || title),
+            author: record.authorName || record.creatorName || '',
+            subject: record.description || '',
+            keywords: tags,
+            language,
+            path: wikiPath,
+            url: `${this.config.baseUrl}${wikiPath.startsWith('/') ? '' : '/'}${wikiPath}`,
+            createdAt: record.createdAt || null,
+            updatedAt: (revision && revision.versionDate) || record.updatedAt || pageMeta.updatedAt || null,
+            revision
+        };
+    }
+
     async saveAllResources() {
-        await saveAllResources(this.resources, this.config.outputDir);
+        await saveAllResources(this.resources, this.getWorkDir(), this.logger);
     }
 
     async saveStyles() {
-        await saveAllStyles(this.page, this.config.outputDir);
+        await saveAllStyles(this.page, this.getWorkDir());
     }
 
     async saveHtml() {
         const html = await this.page.content();
-        const modifiedHtml = fixHtmlPaths(html, this.config.baseUrl, this.config.outputDir);
-        fs.writeFileSync(path.join(this.config.outputDir, 'index.html'), modifiedHtml);
+        const modifiedHtml = fixHtmlPaths(html, this.config.baseUrl, this.getWorkDir());
+        fs.writeFileSync(path.join(this.getWorkDir(), 'index.html'), modifiedHtml);
+    }
+
+    // A book is encrypted when any of its chapters is.
+    resolveEncryption() {
+        const rules = this.config.encryption || [];
+        if (rules.length === 0) return null;
+        const pageMeta = this.config.pageMeta || {};
+        const pages = Array.isArray(this.bookChapters) && this.bookChapters.length > 0
+            ? this.bookChapters
+            : [{ path: pageMeta.path || this.config.articlePath, locale: pageMeta.locale }];
+        for (const page of pages) {
+            const rule = resolveEncryptionRule(rules, page.path, page.locale);
+            if (rule) return rule;
+        }
+        return null;
+    }
+
+    // Save the page as printed (hidden navigation, cover, TOC without page numbers) in
+    // every configured archive format. Runs on the final DOM just before the last print.
+    async saveArchives(pdfPath, pageWidthMm) {
+        const savedPaths = [];
+        for (const format of this.config.archiveFormats || []) {
+            const archivePath = archivePathForPdf(pdfPath, format);
+            await this.page.evaluate((placeholderOrigin, archiveFormat, widthMm) => {
+                const style = document.createElement('style');
+                style.id = 'export-archive-style';
+                style.textContent = `
+                    @media screen {
+                        html > body {
+                            max-width: ${widthMm}mm !important;
+                            margin: 0 auto !important;
+                            padding: 24px 16px !important;
+                            box-sizing: border-box !important;
+                        }
+                        .export-cover {
+                            min-height: 0 !important;
+                            padding: 48px 0 !important;
+                        }
+                        .export-toc-dots,
+                        .export-toc-page {
+                            display: none !important;
+                        }
+                    }
+                `;
+                document.head.appendChild(style);
+
+                // Footnotes as on the wiki page: definitions back in place, references with
+                // their original label and target instead of the per-page PDF numbering.
+                document.querySelectorAll('template[data-export-archive-footnotes]').forEach(parking => {
+                    const restored = parking.content.cloneNode(true);
+                    Array.from(restored.children).forEach(node => node.setAttribute('data-export-archive-restored', ''));
+                    parking.parentNode.insertBefore(restored, parking);
+                });
+                document.querySelectorAll('a[data-export-footnote-target-id]').forEach(link => {
+                    link.setAttribute('data-export-archive-href', link.getAttribute('href') || '');
+                    link.setAttribute('href', `#${link.getAttribute('data-export-footnote-target-id')}`);
+                    if (link.hasAttribute('data-export-footnote-label')) {
+                        link.setAttribute('data-export-archive-label', link.textContent);
+                        link.textContent = link.getAttribute('data-export-footnote-label');
+                    }
+                });
+
+                // Links to sibling PDFs: the html archive links the sibling html files,
+                // the mhtml archive goes back to the wiki page.
+                document.querySelectorAll('a[href]').forEach(link => {
+                    const rawHref = link.getAttribute('href') || '';
+                    if (!rawHref.startsWith(placeholderOrigin) || link.hasAttribute('data-export-archive-href')) return;
+                    let url;
+                    try {
+                        url = new URL(rawHref);
+                    } catch (_) {
+                        return;
+                    }
+                    const target = url.searchParams.get('pdf');
+                    const wikiHref = link.getAttribute('data-export-wiki-href');
+                    const archiveHref = archiveFormat === 'html' && target
+                        ? `${target.replace(/\.pdf$/i, '.html')}${url.hash}`
+                        : wikiHref;
+                    if (!archiveHref) return;
+                    link.setAttribute('data-export-archive-href', rawHref);
+                    link.setAttribute('href', archiveHref);
+                });
+            }, PDF_LINK_PLACEHOLDER_ORIGIN, format, pageWidthMm);
+
+            try {
+                if (format === 'mhtml') {
+                    const session = await this.page.createCDPSession();
+                    try {
+                        const { data } = await session.send('Page.captureSnapshot', { format: 'mhtml' });
+                        fs.writeFileSync(archivePath, data);
+                    } finally {
+                        await session.detach().catch(() => null);
+                    }
+                } else {
+                    const html = await this.page.evaluate(() => {
+                        const absolutizeCssUrls = (cssText, baseHref) => String(cssText || '').replace(
+                            /url\(\s*(['"]?)([^'")]+)\1\s*\)/g,
+                            (match, quote, value) => {
+                                if (/^(data|blob):/i.test(value) || value.startsWith('#')) return match;
+                                try {
+                                    return `url('${new URL(value, baseHref).href.replace(/'/g, '%27')}')`;
+                                } catch (_) {
+                                    return match;
+                                }
+                            }
+                        );
+                        const collectSheetText = (sheet) => {
+                            const baseHref = sheet.href || document.baseURI;
+                            return Array.from(sheet.cssRules).map(rule => (
+                                rule instanceof CSSImportRule && rule.styleSheet
+                                    ? collectSheetText(rule.styleSheet)
+                                    : absolutizeCssUrls(rule.cssText, baseHref)
+                            )).join('\n');
+                        };
+
+                        const sheets = Array.from(document.styleSheets)
+                            .filter(sheet => !sheet.disabled)
+                            .map(sheet => {
+                                const media = sheet.media ? sheet.media.mediaText : '';
+                                try {
+                                    return { media, cssText: collectSheetText(sheet), href: null };
+                                } catch (_) {
+                                    // Cross-origin sheet: filled in from the captured response.
+                                    return { media, cssText: '', href: sheet.href };
+                                }
+                            });
+
+                        const clone = document.documentElement.cloneNode(true);
+                        clone.querySelectorAll('template[data-export-archive-footnotes], script, noscript, base, style, link[rel~="stylesheet"], link[rel="preload"], link[rel="prefetch"], link[rel="modulepreload"]')
+                            .forEach(node => node.remove());
+                        let head = clone.querySelector('head');
+                        if (!head) {
+                            head = document.createElement('head');
+                            clone.insertBefore(head, clone.firstChild);
+                        }
+                        sheets.forEach(sheet => {
+                            const style = document.createElement('style');
+                            if (sheet.media) style.setAttribute('media', sheet.media);
+                            if (sheet.href) style.setAttribute('data-export-archive-sheet', sheet.href);
+                            style.textContent = sheet.cssText;
+                            head.appendChild(style);
+                        });
+
+                        // The file is opened from disk, so every remaining link and resource
+                        // reference must be absolute.
+                        clone.querySelectorAll('a[href]').forEach(link => {
+                            const rawHref = link.getAttribute('href') || '';
+                            if (!rawHref || rawHref.startsWith('#') || link.hasAttribute('data-export-archive-href')) return;
+                            try {
+                                link.setAttribute('href', new URL(rawHref, document.baseURI).href);
+                            } catch (_) {
+                                // keep malformed links as they are
+                            }
+                        });
+                        clone.querySelectorAll('[src], video[poster]').forEach(node => {
+                            ['src', 'poster'].forEach(attr => {
+                                const value = node.getAttribute(attr);
+                                if (!value || /^(data|blob):/i.test(value)) return;
+                                try {
+                                    node.setAttribute(attr, new URL(value, document.baseURI).href);
+                                } catch (_) {
+                                    // keep
+                                }
+                            });
+                        });
+                        clone.querySelectorAll('[srcset]').forEach(node => node.removeAttribute('srcset'));
+                        clone.querySelectorAll('[style*="url("]').forEach(node => {
+                            node.setAttribute('style', absolutizeCssUrls(node.getAttribute('style'), document.baseURI));
+                        });
+                        return `<!DOCTYPE html>\n${clone.outerHTML}`;
+                    });
+
+                    let archiveHtml = html.replace(
+                        /<style([^>]*) data-export-archive-sheet="([^"]+)"([^>]*)><\/style>/g,
+                        (match, before, href, after) => {
+                            const sheetUrl = href.replace(/&amp;/g, '&');
+                            const resource = this.resources.get(sheetUrl);
+                            if (!resource) return match;
+                            return `<style${before}${after}>${absolutizeCssUrls(resource.buffer.toString('utf8'), sheetUrl)}</style>`;
+                        }
+                    );
+                    if (!/<meta[^>]+charset/i.test(archiveHtml)) {
+                        archiveHtml = archiveHtml.replace(/<head([^>]*)>/i, '<head$1><meta charset="utf-8">');
+                    }
+                    fs.writeFileSync(archivePath, inlineCapturedResources(archiveHtml, this.resources), 'utf8');
+                }
+                savedPaths.push(archivePath);
+                this.logger.log(`${format.toUpperCase()} archive has been saved as:`, archivePath);
+            } finally {
+                await this.page.evaluate(() => {
+                    const style = document.getElementById('export-archive-style');
+                    if (style) style.remove();
+                    document.querySelectorAll('a[data-export-archive-href]').forEach(link => {
+                        link.setAttribute('href', link.getAttribute('data-export-archive-href'));
+                        link.removeAttribute('data-export-archive-href');
+                    });
+                    document.querySelectorAll('a[data-export-archive-label]').forEach(link => {
+                        link.textContent = link.getAttribute('data-export-archive-label');
+                        link.removeAttribute('data-export-archive-label');
+                    });
+                    document.querySelectorAll('[data-export-archive-restored]').forEach(node => node.remove());
+                });
+            }
+        }
+        return savedPaths;
+    }
+
+    // EPUB 3 export for reading on tablets. Reuses the DOM cleanup passes of savePdf
+    // (navigation hiding, heading cleanup, anchor normalization, footnote extraction);
+    // footnotes become pop-up notes and images come from the captured responses.
+    async saveEpub() {
+        const prepared = await this.savePdf({ prepareOnly: true });
+        const epubPath = prepared.pdfPath.replace(/\.pdf$/i, '') + '.epub';
+
+        const extracted = await this.page.evaluate((contentSelectors) => {
+            const cleanedText = (text) => String(text || '')
+                .replace(/__TOC_MARKER__\d+__END__/g, '')
+                .replace(/\u00B6/g, '')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            let root = null;
+            for (const selector of contentSelectors) {
+                const el = document.querySelector(selector);
+                if (el) { root = el; break; }
+            }
+            if (!root) root = document.body;
+
+            // Elements hidden by the navigation passes stay out of the book.
+            const hiddenMark = 'data-export-epub-hidden';
+            root.querySelectorAll('*').forEach(el => {
+                if (window.getComputedStyle(el).display === 'none') el.setAttribute(hiddenMark, '1');
+            });
+            const clone = root.cloneNode(true);
+            root.querySelectorAll(`[${hiddenMark}]`).forEach(el => el.removeAttribute(hiddenMark));
+
+            clone.querySelectorAll([
+                `[${hiddenMark}]`,
+                'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+                'video', 'audio', 'picture source', 'button', 'input', 'select', 'textarea',
+                '.export-toc-marker', '.export-toc-anchor', '.export-footnote-ref-marker', '.toc-anchor'
+            ].join(', ')).forEach(node => node.remove());
+
+            const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                const textNode = walker.currentNode;
+                if (textNode.nodeValue && textNode.nodeValue.includes('__TOC_MARKER__')) {
+                    textNode.nodeValue = textNode.nodeValue.replace(/__TOC_MARKER__\d+__END__/g, '');
+                }
+            }
+
+            const noteNumbers = new Map();
+            clone.querySelectorAll('a[data-export-footnote-target-id]').forEach(link => {
+                const targetId = link.getAttribute('data-export-footnote-target-id');
+                if (!noteNumbers.has(targetId)) noteNumbers.set(targetId, noteNumbers.size + 1);
+                const number = noteNumbers.get(targetId);
+                link.textContent = String(number);
+                link.setAttribute('href', `#epub-note-${number}`);
+                link.setAttribute('data-epub-type', 'noteref');
+            });
+
+            clone.querySelectorAll('a[href]').forEach(link => {
+                const rawHref = link.getAttribute('href') || '';
+                if (rawHref.startsWith('#')) return;
+                try {
+                    link.setAttribute('href', new URL(rawHref, document.baseURI).href);
+                } catch (_) {
+                    link.removeAttribute('href');
+                }
+            });
+
+            const images = [];
+            clone.querySelectorAll('img').forEach(img => {
+                const rawSrc = img.getAttribute('src') || '';
+                if (!rawSrc) {
+                    img.remove();
+                    return;
+                }
+                let src = rawSrc;
+                if (!rawSrc.startsWith('data:')) {
+                    try {
+                        src = new URL(rawSrc, document.baseURI).href;
+                    } catch (_) {
+                        src = rawSrc;
+                    }
+                }
+                img.setAttribute('src', `__EPUB_IMAGE_${images.length}__`);
+                if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+                images.push({ src, alt: img.getAttribute('alt') });
+            });
+
+            // Reflowable text: drop inline layout and attributes that are not valid XHTML.
+            const validName = /^[A-Za-z_][\w.:-]*$/;
+            const droppedAttributes = new Set(['style', 'srcset', 'sizes', 'loading', 'decoding', 'contenteditable', 'tabindex', 'width', 'height']);
+            [clone, ...clone.querySelectorAll('*')].forEach(el => {
+                Array.from(el.attributes).forEach(attr => {
+                    const name = attr.name;
+                    const isSvg = el.namespaceURI === 'http://www.w3.org/2000/svg';
+                    if (!validName.test(name)
+                        || (!isSvg && droppedAttributes.has(name.toLowerCase()))
+                        || (name.startsWith('data-') && name !== 'data-epub-type')) {
+                        el.removeAttribute(name);
+                    }
+                });
+            });
+
+            const serializer = new XMLSerializer();
+            const contentHtml = Array.from(clone.childNodes)
+                .map(node => serializer.serializeToString(node))
+                .join('');
+
+            const store = document.getElementById('export-cover-store');
+            const storedH1 = store ? store.querySelector('[data-export-cover="h1"]') : null;
+            const storedH2 = store ? store.querySelector('[data-export-cover="h2"]') : null;
+            return {
+                contentHtml,
+                images,
+                notes: Array.from(noteNumbers.entries()).map(([targetId, number]) => ({ targetId, number })),
+                coverTitle: storedH1 ? cleanedText(storedH1.textContent) : '',
+                coverSubtitle: storedH2 ? cleanedText(storedH2.textContent) : '',
+                language: document.documentElement.getAttribute('lang') || ''
+            };
+        }, BOOK_CONTENT_SELECTORS);
+
+        const bookImages = [];
+        let missingImages = 0;
+        let contentHtml = extracted.contentHtml
+            .replace(/ data-epub-type="/g, ' epub:type="')
+            .replace(/<img\b([^>]*?)src="__EPUB_IMAGE_(\d+)__"([^>]*?)\/?>/g, (match, before, index, after) => {
+                const image = extracted.images[Number(index)];
+                let buffer = null;
+                let mimeType = '';
+                const dataUri = image && image.src.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+                if (dataUri) {
+                    mimeType = dataUri[1].toLowerCase();
+                    buffer = dataUri[2]
+                        ? Buffer.from(dataUri[3], 'base64')
+                        : Buffer.from(safeDecodeURIComponent(dataUri[3]), 'utf8');
+                } else if (image) {
+                    const resource = this.resources.get(image.src);
+                    let extension = '';
+                    try {
+                        extension = path.extname(new URL(image.src).pathname).toLowerCase();
+                    } catch (_) {
+                        extension = '';
+                    }
+                    if (resource) {
+                        buffer = resource.buffer;
+                        mimeType = IMAGE_MIME_TYPES[extension] || '';
+                    }
+                }
+                const extension = EPUB_IMAGE_EXTENSIONS[mimeType];
+                if (!buffer || !extension) {
+                    missingImages += 1;
+                    const alt = image && image.alt ? escapeHtml(image.alt) : '';
+                    return alt ? `<span class="export-missing-image">[${alt}]</span>` : '';
+                }
+                const id = `image-${bookImages.length + 1}`;
+                const href = `images/${id}.${extension}`;
+                bookImages.push({ id, href, mimeType, buffer });
+                return `<img${before}src="${href}"${after}/>`;
+            });
+        if (missingImages > 0) {
+            this.logger.warn(`EPUB: ${missingImages} image(s) were not captured and are left out.`);
+        }
+
+        const asides = extracted.notes.map(note => buildEpubFootnoteAside(
+            note.number,
+            prepared.footnoteDefinitionsById.get(note.targetId)
+        ));
+        if (asides.length > 0) {
+            contentHtml += `\n${asides.join('\n')}`;
+        }
+
+        const pageMeta = this.config.pageMeta || {};
+        const title = pageMeta.title || extracted.coverTitle
+            || prepared.pageTitle.replace(/[\u00B6]/g, '').trim() || 'Wiki Page';
+        const coverEnabled = this.config.coverEnabled !== false;
+        const coverHtml = coverEnabled
+            ? `<section epub:type="cover" class="export-epub-cover"><h1>${escapeHtml(extracted.coverTitle || title)}</h1>${
+                extracted.coverSubtitle ? `<h2>${escapeHtml(extracted.coverSubtitle)}</h2>` : ''}</section>`
+            : '';
+
+        const tocDepth = this.config.tocDepth || 2;
+        const navEntries = prepared.tocHeadings
+            .filter(item => item.cover !== 'h2' && Number(item.level.slice(1)) <= tocDepth)
+            .filter(item => !(item.cover === 'h1' && !coverHtml))
+            .map(item => ({
+                title: String(item.text || '').replace(/\u00B6/g, '').replace(/\s+/g, ' ').trim(),
+                level: Number(item.level.slice(1)),
+                href: item.cover === 'h1' ? 'cover.xhtml' : `content.xhtml#${item.id}`
+            }))
+            .filter(entry => entry.title);
+
+        const epubBuffer = createEpubArchive({
+            identifier: buildEpubIdentifier(`${this.config.baseUrl}${this.config.articlePath}`),
+            title,
+            language: pageMeta.locale || extracted.language || 'en',
+            tocTitle: this.config.tocTitle,
+            tocEnabled: this.config.tocEnabled !== false,
+            coverHtml,
+            contentHtml,
+            navTree: buildOutlineTree(navEntries),
+            images: bookImages
+        });
+        fs.writeFileSync(epubPath, epubBuffer);
+        this.logger.log('EPUB file has been saved as:', epubPath);
+        return epubPath;
     }
 
-    async savePdf() {
+    // With `prepareOnly` (EPUB export) only the DOM cleanup passes run: print layout
+    // passes are skipped and the collected headings and footnotes are returned instead
+    // of printing.
+    async savePdf(options = {}) {
+        const prepareOnly = Boolean(options.prepareOnly);
         const disableAllHtmlMutations = false;
         const pageTitle = await this.page.evaluate(() => {
             // First try to find the first visible H1 header
@@ -1683,8 +4761,9 @@ class WikiExporter {
         let pdfFilename = `${baseName}.pdf`;
         if (typeof this.config.pdfName === 'string' && this.config.pdfName.trim()) {
             pdfFilename = this.config.pdfName.trim();
+            // An .epub name (EPUB export) keeps its stem; the EPUB is written next to it.
             if (!/\.pdf$/i.test(pdfFilename)) {
-                pdfFilename += '.pdf';
+                pdfFilename = `${pdfFilename.replace(/\.epub$/i, '')}.pdf`;
             }
             pdfFilename = pdfFilename
                 .replace(/[\u00B6]/g, '')
@@ -1694,17 +4773,16 @@ class WikiExporter {
         }
         let pdfPath = path.join(this.config.outputDir, pdfFilename);
 
-        const logoPath = path.join(__dirname, 'assets', 'slomo-logo-traced-color.svg');
+        const logoPath = resolveLogoPath(this.config);
         let logoDataUri = '';
         try {
-            if (fs.existsSync(logoPath)) {
-                const svg = fs.readFileSync(logoPath, 'utf8');
-                logoDataUri = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
-            } else {
-                console.warn('Logo not found:', logoPath);
+            if (logoPath && fs.existsSync(logoPath)) {
+                logoDataUri = readLogoDataUri(logoPath);
+            } else if (logoPath) {
+                this.logger.warn('Logo not found:', logoPath);
             }
         } catch (e) {
-            console.warn('Failed to read logo file:', e.message);
+            this.logger.warn('Failed to read logo file:', e.message);
         }
 
         const hasCustomBaseFontSize = Number.isFinite(this.config.fontSize) && this.config.fontSize > 0;
@@ -1715,36 +4793,62 @@ class WikiExporter {
         const footnoteItemGapPt = 2;
         const footnoteTopPaddingPt = 2;
         const footnoteBottomPaddingPt = 1;
-        const pageWidthMm = 210;
-        const horizontalMarginMm = 10;
-        const printableContentWidthMm = pageWidthMm - (horizontalMarginMm * 2);
+        const geometry = resolvePageGeometry(this.config);
+        const { margins } = geometry;
+        const printableContentWidthMm = geometry.widthMm - margins.left - margins.right;
+        // Layout heuristics in the page work in CSS pixels at 96dpi.
+        const pageLayoutPx = {
+            pageHeightPx: geometry.heightMm * 96 / 25.4,
+            marginTopPx: margins.top * 96 / 25.4,
+            marginBottomPx: margins.bottom * 96 / 25.4
+        };
 
         let footnoteAreaMm = footnoteMinAreaMm;
-        let bottomMarginMm = footnoteAreaMm + pageNumberBandMm;
+        // The bottom margin must hold the footnote area and the page number band;
+        // a larger configured bottom margin adds space above the footnotes.
+        const resolveBottomMarginMm = () => Math.max(margins.bottom, footnoteAreaMm + pageNumberBandMm);
+        let bottomMarginMm = resolveBottomMarginMm();
 
         const pdfOptions = {
-            format: 'A4',
+            ...(this.config.tagged ? { tagged: true } : {}),
+            format: geometry.format,
+            landscape: geometry.landscape,
             printBackground: true,
-            margin: { top: '2cm', right: '1cm', bottom: `${bottomMarginMm}mm`, left: '1cm' },
+            margin: { top: `${margins.top}mm`, right: `${margins.right}mm`, bottom: `${bottomMarginMm}mm`, left: `${margins.left}mm` },
             scale: 1,
             preferCSSPageSize: true
         };
 
         let pdfOptionsNoHeader = { ...pdfOptions, displayHeaderFooter: false };
-        const headerTemplate = logoDataUri
-            ? `
-                <div style="width:100%; padding:0 1cm; box-sizing:border-box; height:34px; display:flex; justify-content:flex-end; align-items:flex-start;">
-                    <img src="${logoDataUri}" style="height:27px; width:auto;" />
-                </div>
-            `
-            : '<span></span>';
-        const footerTemplate = `
-            <div style="font-size:10px; width:100%; padding:0 1cm; box-sizing:border-box; color:#444;">
-                <div style="width:100%; text-align:right;">
-                    <span class="pageNumber"></span> / <span class="totalPages"></span>
-                </div>
-            </div>
-        `;
+        const pageMeta = this.config.pageMeta || {};
+        const toDateOnly = (value) => {
+            const parsed = value ? new Date(value) : null;
+            return parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString().slice(0, 10) : '';
+        };
+        const revision = this.pageRevision;
+        const templateValues = {
+            title: pageMeta.title || pageTitle.replace(/[\u00B6]/g, '').trim(),
+            path: pageMeta.path || this.config.articlePath,
+            updatedAt: toDateOnly(revision && revision.versionDate ? revision.versionDate : pageMeta.updatedAt),
+            version: revision && revision.versionId ? String(revision.versionId) : '',
+            versionDate: revision ? toDateOnly(revision.versionDate) : '',
+            revision: formatRevisionLabel(revision),
+            exportDate: toDateOnly(new Date()),
+            locale: pageMeta.locale || '',
+            logoSrc: logoDataUri,
+            marginLeft: margins.left,
+            marginRight: margins.right
+        };
+        const headerTemplateSource = resolveTemplateSetting(this.config.headerTemplate) ?? DEFAULT_HEADER_TEMPLATE;
+        const footerTemplateSource = resolveTemplateSetting(this.config.footerTemplate) ?? DEFAULT_FOOTER_TEMPLATE;
+        const headerTemplate = fillHeaderFooterTemplate(headerTemplateSource, templateValues);
+        const footerTemplate = fillHeaderFooterTemplate(footerTemplateSource, templateValues);
+        // The cover page gets its own header/footer only when one of the cover templates is set.
+        const coverHeaderTemplateSource = resolveTemplateSetting(this.config.coverHeaderTemplate);
+        const coverFooterTemplateSource = resolveTemplateSetting(this.config.coverFooterTemplate);
+        const hasCoverTemplates = coverHeaderTemplateSource !== null || coverFooterTemplateSource !== null;
+        const coverHeaderTemplate = fillHeaderFooterTemplate(coverHeaderTemplateSource ?? headerTemplateSource, templateValues);
+        const coverFooterTemplate = fillHeaderFooterTemplate(coverFooterTemplateSource ?? footerTemplateSource, templateValues);
         let pdfOptionsFinal = {
             ...pdfOptions,
             displayHeaderFooter: true,
@@ -1753,13 +4857,13 @@ class WikiExporter {
         };
 
         const applyPdfMarginState = () => {
-            bottomMarginMm = footnoteAreaMm + pageNumberBandMm;
+            bottomMarginMm = resolveBottomMarginMm();
             const bottomMarginCss = `${bottomMarginMm}mm`;
             pdfOptions.margin = {
-                top: '2cm',
-                right: '1cm',
+                top: `${margins.top}mm`,
+                right: `${margins.right}mm`,
                 bottom: bottomMarginCss,
-                left: '1cm'
+                left: `${margins.left}mm`
             };
             pdfOptionsNoHeader = { ...pdfOptions, displayHeaderFooter: false };
             pdfOptionsFinal = {
@@ -1774,7 +4878,7 @@ class WikiExporter {
 
         if (disableAllHtmlMutations) {
             await this.page.pdf({ path: pdfPath, ...pdfOptionsFinal });
-            console.log('PDF file has been saved as:', pdfPath);
+            this.logger.log('PDF file has been saved as:', pdfPath);
             return pdfPath;
         }
 
@@ -1936,7 +5040,8 @@ class WikiExporter {
         }, disableBgImageInjection, disableTableMediaNormalization);
 
         // Convert all images to base64 data URIs to ensure they're embedded in the PDF
-        const disableImageBase64 = false;
+        // EPUB export takes images from the captured responses instead.
+        const disableImageBase64 = prepareOnly;
         await this.page.evaluate(async (skipImageBase64) => {
             if (skipImageBase64) return;
             const convertImageToBase64 = async (img) => {
@@ -2185,9 +5290,9 @@ class WikiExporter {
             });
         });
 
-        const disablePrintStyleInjection = false;
+        const disablePrintStyleInjection = prepareOnly;
         // Apply print/screen overrides to preserve on-page styling (colors, italics) and avoid cropped tables/images
-        if (!disablePrintStyleInjection) await this.page.evaluate((baseFontSizePx, printContentWidthMm) => {
+        if (!disablePrintStyleInjection) await this.page.evaluate((baseFontSizePx, printContentWidthMm, pageSetup) => {
             if (document.querySelector('style[data-export-pdf]')) return;
             const rootFontSizeRule = Number.isFinite(baseFontSizePx) && baseFontSizePx > 0
                 ? `font-size: ${baseFontSizePx}px !important;`
@@ -2199,8 +5304,8 @@ class WikiExporter {
             style.setAttribute('data-export-pdf', 'true');
             style.textContent = `
                 @page {
-                    size: A4;
-                    margin: 2cm 1cm 1cm 1cm;
+                    size: ${pageSetup.cssSize};
+                    margin: ${pageSetup.margins.top}mm ${pageSetup.margins.right}mm ${pageSetup.margins.bottom}mm ${pageSetup.margins.left}mm;
                 }
                 @media print, screen {
                     html, body {
@@ -2445,7 +5550,7 @@ class WikiExporter {
                         flex-direction: column;
                         align-items: center;
                         justify-content: center;
-                        min-height: calc(100vh - 2cm);
+                        min-height: calc(100vh - ${pageSetup.margins.top}mm);
                         text-align: center;
                     }
                     .export-toc-title {
@@ -2471,6 +5576,22 @@ class WikiExporter {
                     .export-toc-item.h2 {
                         margin-left: 18px;
                     }
+                    .export-toc-item.h3 {
+                        margin-left: 36px;
+                        font-size: 0.95em;
+                    }
+                    .export-toc-item.h4 {
+                        margin-left: 54px;
+                        font-size: 0.9em;
+                    }
+                    .export-toc-item.h5 {
+                        margin-left: 72px;
+                        font-size: 0.9em;
+                    }
+                    .export-toc-item.h6 {
+                        margin-left: 90px;
+                        font-size: 0.9em;
+                    }
                     .export-toc-link {
                         display: flex;
                         align-items: baseline;
@@ -2495,10 +5616,10 @@ class WikiExporter {
                 }
             `;
             document.head.appendChild(style);
-        }, this.config.fontSize, printableContentWidthMm);
+        }, this.config.fontSize, printableContentWidthMm, geometry);
 
         const setDynamicPageMargins = async (bottomMarginCss) => {
-            await this.page.evaluate((resolvedBottomMargin) => {
+            await this.page.evaluate((resolvedBottomMargin, pageSetup) => {
                 let dynamicStyle = document.getElementById('export-dynamic-page-margin');
                 if (!dynamicStyle) {
                     dynamicStyle = document.createElement('style');
@@ -2507,15 +5628,15 @@ class WikiExporter {
                 }
                 dynamicStyle.textContent = `
                     @page {
-                        size: A4;
-                        margin: 2cm 1cm ${resolvedBottomMargin} 1cm;
+                        size: ${pageSetup.cssSize};
+                        margin: ${pageSetup.margins.top}mm ${pageSetup.margins.right}mm ${resolvedBottomMargin} ${pageSetup.margins.left}mm;
                     }
                 `;
-            }, bottomMarginCss);
+            }, bottomMarginCss, geometry);
         };
-        await setDynamicPageMargins(marginState.bottomMarginCss);
+        if (!prepareOnly) await setDynamicPageMargins(marginState.bottomMarginCss);
 
-        const disableAutoWidenContent = false;
+        const disableAutoWidenContent = prepareOnly;
         // Build a stable content root/chain so oversized descendants (wide media in tables)
         // cannot stretch layout and trigger global text downscaling.
         if (!disableAutoWidenContent) await this.page.evaluate((printContentWidthMm) => {
@@ -2584,7 +5705,7 @@ class WikiExporter {
             });
         }, printableContentWidthMm);
 
-        const disableOverflowTableNormalization = false;
+        const disableOverflowTableNormalization = prepareOnly;
         // Apply stronger constraints only to tables that still overflow page width.
         if (!disableOverflowTableNormalization) await this.page.evaluate(() => {
             const root = document.querySelector('[data-export-layout-root="1"]') || document.body;
@@ -2796,7 +5917,7 @@ class WikiExporter {
                     ]
                 };
             });
-            console.log('CONTENT-WIDTH-DEBUG', JSON.stringify(debugInfo));
+            this.logger.log('CONTENT-WIDTH-DEBUG', JSON.stringify(debugInfo));
         }
 
         const manualBreakStats = await this.page.evaluate(() => {
@@ -2854,18 +5975,15 @@ class WikiExporter {
             return { found: markers.length, applied, skipped };
         });
         if (manualBreakStats.found > 0) {
-            console.log(
+            this.logger.log(
                 `Manual pdfe-break markers: found=${manualBreakStats.found}, applied=${manualBreakStats.applied}, skipped=${manualBreakStats.skipped}`
             );
         }
 
-        const disableTableBreaks = Boolean(this.config.disableTableBreaks);
+        const disableTableBreaks = Boolean(this.config.disableTableBreaks) || prepareOnly;
         // Push large tables (and their immediate headings) to the next page when too little space remains
-        if (!disableTableBreaks) await this.page.evaluate(() => {
-            const inch = 96;
-            const pageHeightPx = 11.69 * inch; // A4 height in px at 96dpi
-            const marginTopPx = 75.6; // 2cm top margin used in PDF
-            const marginBottomPx = 37.8; // 1cm bottom margin used in PDF
+        if (!disableTableBreaks) await this.page.evaluate((layout) => {
+            const { pageHeightPx, marginTopPx, marginBottomPx } = layout;
             const usableHeight = pageHeightPx - marginTopPx - marginBottomPx;
             const lineHeight = parseFloat(getComputedStyle(document.body).lineHeight) || 16;
             const keepBuffer = lineHeight * 2;
@@ -2994,15 +6112,12 @@ class WikiExporter {
                     h.setAttribute('data-forced-page-break', 'before');
                 }
             });
-        });
+        }, pageLayoutPx);
 
         // Prevent table rows from splitting across pages by forcing a page break before
         // any row that would cross a page boundary.
-        if (!disableTableBreaks) await this.page.evaluate(() => {
-            const inch = 96;
-            const pageHeightPx = 11.69 * inch;
-            const marginTopPx = 75.6; // 2cm top margin used in PDF
-            const marginBottomPx = 37.8; // 1cm bottom margin used in PDF
+        if (!disableTableBreaks) await this.page.evaluate((layout) => {
+            const { pageHeightPx, marginTopPx, marginBottomPx } = layout;
             const usableHeight = pageHeightPx - marginTopPx - marginBottomPx;
             const lineHeight = parseFloat(getComputedStyle(document.body).lineHeight) || 16;
             const keepBuffer = lineHeight * 2;
@@ -3051,16 +6166,13 @@ class WikiExporter {
                     }
                 });
             });
-        });
+        }, pageLayoutPx);
 
-        const disableHeadingBreaks = this.config.disableHeadingBreaks ?? true;
+        const disableHeadingBreaks = prepareOnly || (this.config.disableHeadingBreaks ?? true);
         // Keep multi-line headings with their following tables when there is not enough
         // space left on the page, to avoid splitting the heading across pages.
-        if (!disableHeadingBreaks) await this.page.evaluate(() => {
-            const inch = 96;
-            const pageHeightPx = 11.69 * inch;
-            const marginTopPx = 75.6; // 2cm top margin used in PDF
-            const marginBottomPx = 37.8; // 1cm bottom margin used in PDF
+        if (!disableHeadingBreaks) await this.page.evaluate((layout) => {
+            const { pageHeightPx, marginTopPx, marginBottomPx } = layout;
             const usableHeight = pageHeightPx - marginTopPx - marginBottomPx;
             const lineHeight = parseFloat(getComputedStyle(document.body).lineHeight) || 16;
             const buffer = lineHeight * 2; // allow at least ~2 lines of space
@@ -3086,15 +6198,12 @@ class WikiExporter {
                     h.setAttribute('data-forced-page-break', 'before');
                 }
             });
-        });
+        }, pageLayoutPx);
 
         // If a heading is the last visible element on a page (next content starts on the
         // following page), move the heading to that next page.
-        if (!disableHeadingBreaks) await this.page.evaluate(() => {
-            const inch = 96;
-            const pageHeightPx = 11.69 * inch;
-            const marginTopPx = 75.6; // 2cm top margin used in PDF
-            const marginBottomPx = 37.8; // 1cm bottom margin used in PDF
+        if (!disableHeadingBreaks) await this.page.evaluate((layout) => {
+            const { pageHeightPx, marginTopPx, marginBottomPx } = layout;
             const usableHeight = pageHeightPx - marginTopPx - marginBottomPx;
 
             const isRelevant = el => el && el.offsetParent && !['SCRIPT', 'STYLE'].includes(el.tagName);
@@ -3149,14 +6258,11 @@ class WikiExporter {
                     h.setAttribute('data-forced-page-break', 'before');
                 }
             });
-        });
+        }, pageLayoutPx);
 
-        const disableHeadingPairGuard = Boolean(this.config.disableHeadingPairGuard);
-        if (!disableHeadingPairGuard && disableHeadingBreaks) await this.page.evaluate(() => {
-            const inch = 96;
-            const pageHeightPx = 11.69 * inch;
-            const marginTopPx = 75.6; // 2cm top margin used in PDF
-            const marginBottomPx = 37.8; // 1cm bottom margin used in PDF
+        const disableHeadingPairGuard = Boolean(this.config.disableHeadingPairGuard) || prepareOnly;
+        if (!disableHeadingPairGuard && disableHeadingBreaks) await this.page.evaluate((layout) => {
+            const { pageHeightPx, marginTopPx, marginBottomPx } = layout;
             const usableHeight = pageHeightPx - marginTopPx - marginBottomPx;
 
             const isRelevant = el => el && el.offsetParent && !['SCRIPT', 'STYLE'].includes(el.tagName);
@@ -3194,9 +6300,9 @@ class WikiExporter {
                     h.setAttribute('data-forced-page-break', 'before');
                 }
             });
-        });
+        }, pageLayoutPx);
 
-        const disableHeadingGroup = Boolean(this.config.disableHeadingGroup);
+        const disableHeadingGroup = Boolean(this.config.disableHeadingGroup) || prepareOnly;
         if (!disableHeadingGroup && disableHeadingBreaks) await this.page.evaluate(() => {
             const isRelevant = el => el && el.offsetParent && !['SCRIPT', 'STYLE'].includes(el.tagName);
             const isInTable = el => !!(el && el.closest && el.closest('table, thead, tbody, tfoot, tr, td, th'));
@@ -3257,7 +6363,7 @@ class WikiExporter {
         // Force screen media so page uses its live styling (colors, italics, underlines)
         await this.page.emulateMediaType('screen');
 
-        const disableItalicFixes = false;
+        const disableItalicFixes = prepareOnly;
         // Lock computed italics inside headings so print styles cannot flatten them.
         if (!disableItalicFixes) await this.page.evaluate(() => {
             const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
@@ -3463,14 +6569,68 @@ class WikiExporter {
             });
         });
 
+        // export-all --link-pdfs: links to other exported wiki pages open the sibling PDF.
+        const pdfLinkMap = this.config.pdfLinkMap;
+        if (!prepareOnly && pdfLinkMap && pdfLinkMap.targets && pdfLinkMap.currentPdf) {
+            const wikiOrigin = new URL(this.config.baseUrl).origin;
+            const linkedPaths = await this.page.evaluate((origin) => {
+                const found = new Set();
+                document.querySelectorAll('a[href]').forEach(link => {
+                    const rawHref = String(link.getAttribute('href') || '').trim();
+                    if (!rawHref || rawHref.startsWith('#')) return;
+                    try {
+                        const url = new URL(rawHref, window.location.href);
+                        if (url.origin === origin) found.add(url.pathname);
+                    } catch (_) {
+                        // ignore malformed links
+                    }
+                });
+                return Array.from(found);
+            }, wikiOrigin);
+
+            const currentWikiPath = toPdfLinkWikiPath(this.config.articlePath);
+            const replacements = {};
+            linkedPaths.forEach(pathname => {
+                const wikiPath = toPdfLinkWikiPath(pathname);
+                const targetPdf = pdfLinkMap.targets[wikiPath];
+                if (!targetPdf) return;
+                replacements[pathname] = wikiPath === currentWikiPath
+                    ? ''
+                    : `${PDF_LINK_PLACEHOLDER_ORIGIN}/?pdf=${encodeURIComponent(relativePdfHref(pdfLinkMap.currentPdf, targetPdf))}`;
+            });
+
+            const rewrittenCount = await this.page.evaluate((origin, replacementMap) => {
+                let count = 0;
+                document.querySelectorAll('a[href]').forEach(link => {
+                    const rawHref = String(link.getAttribute('href') || '').trim();
+                    if (!rawHref || rawHref.startsWith('#')) return;
+                    let url;
+                    try {
+                        url = new URL(rawHref, window.location.href);
+                    } catch (_) {
+                        return;
+                    }
+                    if (url.origin !== origin) return;
+                    if (!Object.prototype.hasOwnProperty.call(replacementMap, url.pathname)) return;
+                    const base = replacementMap[url.pathname];
+                    // A link to the page itself stays an in-document anchor.
+                    if (base) link.setAttribute('data-export-wiki-href', url.href);
+                    link.setAttribute('href', base ? `${base}${url.hash}` : (url.hash || '#'));
+                    count += 1;
+                });
+                return count;
+            }, wikiOrigin, replacements);
+            if (rewrittenCount > 0) {
+                this.logger.log(`Links to sibling PDFs: ${rewrittenCount}`);
+            }
+        }
+
+        // Apply the configured link policy: strip links to text or rewrite them to public URLs.
         const disableBlockedWikiLinksFilter = false;
-        if (!disableBlockedWikiLinksFilter) await this.page.evaluate((blockedOrigins) => {
-            const blockedOriginSet = new Set(
-                (Array.isArray(blockedOrigins) ? blockedOrigins : [])
-                    .map(value => String(value || '').trim().toLowerCase())
-                    .filter(Boolean)
-            );
-            if (!blockedOriginSet.size) return;
+        await installLinkPolicyMatcher(this.page, this.config.linkPolicy);
+        if (!disableBlockedWikiLinksFilter) await this.page.evaluate(() => {
+            const { size, findRule: findLinkRule } = window.__exportLinkPolicy;
+            if (!size) return;
 
             const neutralizeAutoLinkedDomains = (text) => String(text || '').replace(
                 /\b([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z]{2,63})+)\b/gi,
@@ -3488,34 +6648,26 @@ class WikiExporter {
             links.forEach(link => {
                 const rawHref = String(link.getAttribute('href') || '').trim();
                 if (!rawHref || rawHref.startsWith('#')) return;
-                let origin = '';
+                let url;
                 try {
-                    origin = new URL(rawHref, window.location.href).origin.toLowerCase();
+                    url = new URL(rawHref, window.location.href);
                 } catch (_) {
                     return;
                 }
-                if (!blockedOriginSet.has(origin)) return;
+                const rule = findLinkRule(url);
+                if (!rule || rule.action === 'keep') return;
+                if (rule.action === 'rewrite') {
+                    link.setAttribute('href', `${rule.rewriteTo}${url.pathname}${url.search}${url.hash}`);
+                    return;
+                }
                 replaceLinkWithTextNode(link);
             });
-        }, BLOCKED_LINK_ORIGINS_LIST);
+        });
 
         const footnoteMarkerPrefix = '__FOOTNOTE_REF_MARKER__';
         const footnoteMarkerSuffix = '__END__';
-        const footnoteExtraction = await this.page.evaluate((refMarkerPrefix, refMarkerSuffix, blockedOrigins) => {
-            const blockedOriginSet = new Set(
-                (Array.isArray(blockedOrigins) ? blockedOrigins : [])
-                    .map(value => String(value || '').trim().toLowerCase())
-                    .filter(Boolean)
-            );
-            const shouldSuppressHref = (href) => {
-                const raw = String(href || '').trim();
-                if (!raw || raw.startsWith('#') || blockedOriginSet.size === 0) return false;
-                try {
-                    return blockedOriginSet.has(new URL(raw, window.location.href).origin.toLowerCase());
-                } catch (_) {
-                    return false;
-                }
-            };
+        const footnoteExtraction = await this.page.evaluate((refMarkerPrefix, refMarkerSuffix) => {
+            const shouldSuppressHref = window.__exportLinkPolicy.isStripped;
             const decodeHash = (href) => {
                 if (!href || href === '#') return null;
                 const raw = href.startsWith('#') ? href.slice(1) : href;
@@ -3707,6 +6859,9 @@ class WikiExporter {
 
                 link.setAttribute('data-export-footnote-ref-index', String(refIndex));
                 link.setAttribute('data-export-footnote-target-id', targetId);
+                if (!link.hasAttribute('data-export-footnote-label')) {
+                    link.setAttribute('data-export-footnote-label', link.textContent);
+                }
 
                 const marker = document.createElement('span');
                 marker.className = 'export-footnote-ref-marker';
@@ -3751,20 +6906,25 @@ class WikiExporter {
                 }
             });
 
+            // Removed blocks are parked in an inert <template> so the offline archives
+            // (saveArchives) can put the footnote text back where it was.
             nodesToRemove.forEach(node => {
                 if (!node || !node.parentElement) return;
+                const parking = document.createElement('template');
+                parking.setAttribute('data-export-archive-footnotes', '');
+                node.parentElement.insertBefore(parking, node);
                 if (
                     node.tagName &&
                     node.tagName.toLowerCase() === 'section' &&
                     node.classList &&
                     node.classList.contains('footnotes')
                 ) {
-                    const prev = node.previousElementSibling;
+                    const prev = parking.previousElementSibling;
                     if (prev && prev.tagName && prev.tagName.toLowerCase() === 'hr') {
-                        prev.remove();
+                        parking.content.appendChild(prev);
                     }
                 }
-                node.remove();
+                parking.content.appendChild(node);
             });
 
             return {
@@ -3772,7 +6932,7 @@ class WikiExporter {
                 definitions,
                 removedBlocks: nodesToRemove.size
             };
-        }, footnoteMarkerPrefix, footnoteMarkerSuffix, BLOCKED_LINK_ORIGINS_LIST);
+        }, footnoteMarkerPrefix, footnoteMarkerSuffix);
 
         const footnoteRefs = Array.isArray(footnoteExtraction && footnoteExtraction.refs)
             ? footnoteExtraction.refs
@@ -3787,21 +6947,30 @@ class WikiExporter {
         const hasFootnotes = footnoteRefs.length > 0 && footnoteDefinitionsById.size > 0;
 
         const disableCoverToc = false;
+        const coverEnabled = this.config.coverEnabled !== false;
+        const tocEnabled = this.config.tocEnabled !== false;
+        const tocDepth = this.config.tocDepth || 2;
+        // Headings down to H4 always get markers for the PDF outline, deeper ones only when the TOC lists them.
+        const headingDepth = Math.max(tocDepth, 4);
         const markerPrefix = '__TOC_MARKER__';
         const markerSuffix = '__END__';
         const tableMarkerPrefix = '__TABLE_ROW_MARKER__';
         const tableMarkerSuffix = '__END__';
-        const tocHeadings = await this.page.evaluate((markerPrefix, markerSuffix) => {
+        const tocHeadings = await this.page.evaluate((markerPrefix, markerSuffix, headingDepth, coverEnabled) => {
             const cleanedText = (text) => String(text || '')
                 .replace(/^[\s\u00A0\u200B\u200C\u200D\uFEFF]*\u00B6\s*/, '')
                 .trim();
 
-            const headings = Array.from(document.querySelectorAll('h1, h2'))
+            const headingSelector = Array.from({ length: headingDepth }, (_, idx) => `h${idx + 1}`).join(', ');
+            const headings = Array.from(document.querySelectorAll(headingSelector))
                 .filter(h => h.offsetParent && (h.textContent || '').trim() !== '');
 
-            const coverH1 = headings.find(h => h.tagName.toLowerCase() === 'h1') || null;
+            // Without a cover the title headings stay in the content and are listed like any other heading.
+            const coverH1 = coverEnabled ? (headings.find(h => h.tagName.toLowerCase() === 'h1') || null) : null;
             let coverH2 = null;
-            if (coverH1) {
+            if (!coverEnabled) {
+                coverH2 = null;
+            } else if (coverH1) {
                 let next = coverH1.nextElementSibling;
                 while (next && (next.textContent || '').trim() === '') {
                     next = next.nextElementSibling;
@@ -3886,11 +7055,16 @@ class WikiExporter {
                 }
 
                 const text = cleanedText(h.textContent.replace(token, ''));
-                items.push({ index: idx, id, tocId, text, level: h.tagName.toLowerCase() });
+                const cover = h === coverH1 ? 'h1' : (h === coverH2 ? 'h2' : '');
+                items.push({ index: idx, id, tocId, text, level: h.tagName.toLowerCase(), cover });
             });
 
             return items;
-        }, markerPrefix, markerSuffix);
+        }, markerPrefix, markerSuffix, headingDepth, coverEnabled);
+
+        if (prepareOnly) {
+            return { pdfPath, pageTitle, tocHeadings, footnoteDefinitionsById };
+        }
 
         const contentPdfPath = pdfPath.replace(/\.pdf$/i, '.content.pdf');
         const tocTempPdfPath = pdfPath.replace(/\.pdf$/i, '.toc.tmp.pdf');
@@ -4149,8 +7323,10 @@ class WikiExporter {
             await applyFootnoteRefUpdates(activeFootnotePlan.refUpdates);
 
             let estimated = await estimateFootnoteAreaMmInBrowser(this.page, activeFootnotePlan.pages, {
-                leftMarginMm: 10,
-                rightMarginMm: 10,
+                leftMarginMm: margins.left,
+                rightMarginMm: margins.right,
+                pageWidthMm: geometry.widthMm,
+                linkPolicy: this.config.linkPolicy,
                 fontSizePt: footnoteFontSizePt,
                 lineHeightMultiplier: footnoteLineHeightMultiplier,
                 itemGapMm: ptToMm(footnoteItemGapPt),
@@ -4162,7 +7338,7 @@ class WikiExporter {
                 footnoteAreaMm = Math.ceil(estimated.maxRequiredMm + 1);
                 const expandedMargin = applyPdfMarginState();
                 await setDynamicPageMargins(expandedMargin.bottomMarginCss);
-                console.log(`Footnote footer expanded to ${footnoteAreaMm}mm due to overflow.`);
+                this.logger.log(`Footnote footer expanded to ${footnoteAreaMm}mm due to overflow.`);
 
                 await renderContentPdfWithTableBreaks();
                 activeFootnotePlan = await computeFootnotePlan();
@@ -4177,8 +7353,10 @@ class WikiExporter {
                 await applyFootnoteRefUpdates(activeFootnotePlan.refUpdates);
 
                 estimated = await estimateFootnoteAreaMmInBrowser(this.page, activeFootnotePlan.pages, {
-                    leftMarginMm: 10,
-                    rightMarginMm: 10,
+                    leftMarginMm: margins.left,
+                    rightMarginMm: margins.right,
+                    pageWidthMm: geometry.widthMm,
+                    linkPolicy: this.config.linkPolicy,
                     fontSizePt: footnoteFontSizePt,
                     lineHeightMultiplier: footnoteLineHeightMultiplier,
                     itemGapMm: ptToMm(footnoteItemGapPt),
@@ -4196,11 +7374,14 @@ class WikiExporter {
             tocId: item.tocId,
             text: item.text,
             level: item.level,
+            cover: item.cover,
             page: markerPages.get(item.index) || null
         }));
+        const printedTocItems = tocItems.filter(item => Number(item.level.slice(1)) <= tocDepth);
 
+        const tocOptions = { coverEnabled, tocEnabled, tocTitle: this.config.tocTitle || '' };
         const renderToc = async (items, pageOffset, showNumbers, hideContent) => {
-            await this.page.evaluate((tocItems, pageOffset, showNumbers, hideContent) => {
+            await this.page.evaluate((tocItems, pageOffset, showNumbers, hideContent, tocOptions) => {
                 const cleanedText = (text) => String(text || '')
                     .replace(/__TOC_MARKER__\d+__END__/g, '')
                     .replace(/^[\s\u00A0\u200B\u200C\u200D\uFEFF]*\u00B6\s*/, '')
@@ -4234,9 +7415,13 @@ class WikiExporter {
             const storedH1 = coverStore ? coverStore.querySelector('[data-export-cover="h1"]') : null;
             const storedH2 = coverStore ? coverStore.querySelector('[data-export-cover="h2"]') : null;
 
-            const coverH1 = storedH1 || headings.find(h => h.tagName.toLowerCase() === 'h1') || null;
+            const coverH1 = tocOptions.coverEnabled
+                ? (storedH1 || headings.find(h => h.tagName.toLowerCase() === 'h1') || null)
+                : null;
             let coverH2 = null;
-            if (storedH1) {
+            if (!tocOptions.coverEnabled) {
+                coverH2 = null;
+            } else if (storedH1) {
                 coverH2 = storedH2 || null;
             } else if (coverH1) {
                 let next = coverH1.nextElementSibling;
@@ -4355,6 +7540,12 @@ class WikiExporter {
                     toc.className = 'export-toc';
                 }
                 toc.innerHTML = '';
+                if (tocOptions.tocTitle) {
+                    const tocTitle = document.createElement('div');
+                    tocTitle.className = 'export-toc-title';
+                    tocTitle.textContent = tocOptions.tocTitle;
+                    toc.appendChild(tocTitle);
+                }
 
                 const parseColor = (value) => {
                     if (!value) return null;
@@ -4454,14 +7645,12 @@ class WikiExporter {
                 toc.appendChild(list);
 
                 const parent = container !== document.body ? container.parentElement : document.body;
-                if (!cover.parentElement) {
-                    if (container !== document.body) {
-                        container.parentElement.insertBefore(toc, container);
-                        container.parentElement.insertBefore(cover, toc);
-                    } else {
-                        document.body.insertBefore(toc, document.body.firstChild);
-                        document.body.insertBefore(cover, toc);
-                    }
+                const insertionPoint = container !== document.body ? container : document.body.firstChild;
+                if (tocOptions.tocEnabled && !toc.parentElement) {
+                    parent.insertBefore(toc, insertionPoint);
+                }
+                if (tocOptions.coverEnabled && !cover.parentElement) {
+                    parent.insertBefore(cover, toc.parentElement ? toc : insertionPoint);
                 }
 
                 if (h1Color) {
@@ -4511,15 +7700,18 @@ class WikiExporter {
                     }
                 }
                 toRemove.forEach(node => node.remove());
-            }, items, pageOffset, showNumbers, hideContent);
+            }, items, pageOffset, showNumbers, hideContent, tocOptions);
         };
 
-        await renderToc(tocItems, 0, false, true);
-        await this.page.pdf({ path: tocTempPdfPath, ...pdfOptionsNoHeader });
-
-        const tocPageCount = await getPdfPageCount(tocTempPdfPath);
+        // Count the pages taken by the cover and TOC by printing them alone.
+        let tocPageCount = 0;
+        if (coverEnabled || tocEnabled) {
+            await renderToc(printedTocItems, 0, false, true);
+            await this.page.pdf({ path: tocTempPdfPath, ...pdfOptionsNoHeader });
+            tocPageCount = await getPdfPageCount(tocTempPdfPath);
+        }
 
-        await renderToc(tocItems, tocPageCount, true, false);
+        await renderToc(printedTocItems, tocPageCount, true, false);
 
         const probePdfPath = pdfPath.replace(/\.pdf$/i, '.probe.pdf');
         await this.page.pdf({ path: probePdfPath, ...pdfOptionsNoHeader });
@@ -4543,7 +7735,7 @@ class WikiExporter {
         });
 
         if (computedOffset !== tocPageCount) {
-            await renderToc(tocItems, computedOffset, true, false);
+            await renderToc(printedTocItems, computedOffset, true, false);
         }
 
         await this.page.evaluate(() => {
@@ -4588,12 +7780,77 @@ class WikiExporter {
             if (footnoteMarkerStyle) footnoteMarkerStyle.remove();
         });
 
+        if (this.config.tagged) {
+            // Chromium turns alt text into the Figure /Alt; images without it are either
+            // described by their title or marked decorative (alt="") so they become artifacts.
+            const imageAltReport = await this.page.evaluate((locale) => {
+                if (locale && !document.documentElement.lang) document.documentElement.lang = locale;
+                const report = { titled: 0, decorative: [] };
+                document.querySelectorAll('img:not([alt])').forEach(img => {
+                    const title = String(img.getAttribute('title') || '').trim();
+                    if (title) {
+                        img.setAttribute('alt', title);
+                        report.titled += 1;
+                    } else {
+                        img.setAttribute('alt', '');
+                        report.decorative.push(img.getAttribute('src') || '');
+                    }
+                });
+                return report;
+            }, (this.config.pageMeta && this.config.pageMeta.locale) || '');
+            if (imageAltReport.titled > 0) {
+                this.logger.log(`Tagged PDF: ${imageAltReport.titled} image(s) without alt text use their title instead.`);
+            }
+            imageAltReport.decorative.forEach(src => {
+                this.logger.warn(`Tagged PDF: image without alt text marked decorative: ${String(src).slice(0, 120)}`);
+            });
+        }
+
+        const encryptionRule = this.resolveEncryption();
+        if (encryptionRule) resolveEncryptionPasswords(encryptionRule);
+        if (encryptionRule) {
+            // An offline copy next to a password-protected PDF would give its content away;
+            // copies left from earlier unencrypted exports go as well.
+            ARCHIVE_FORMATS.forEach(format => fs.rmSync(archivePathForPdf(pdfPath, format), { force: true }));
+            if ((this.config.archiveFormats || []).length > 0) {
+                this.logger.log('Encrypted PDF: offline archive copies are not saved.');
+            }
+        } else {
+            await this.saveArchives(pdfPath, printableContentWidthMm);
+        }
+
         await this.page.pdf({ path: pdfPath, ...pdfOptionsFinal });
 
+        const hasCoverPage = coverEnabled && await this.page.evaluate(() => {
+            const cover = document.getElementById('export-cover');
+            return Boolean(cover && cover.isConnected);
+        });
+        if (hasCoverPage && hasCoverTemplates && this.config.tagged) {
+            // Swapping in a reprinted page would orphan its part of the structure tree.
+            this.logger.log('Tagged PDF: cover header/footer templates are not applied; the cover uses the regular ones.');
+        } else if (hasCoverPage && hasCoverTemplates) {
+            // Print the first page again with the cover header/footer and swap it in.
+            const coverPdfPath = pdfPath.replace(/\.pdf$/i, '.cover.pdf');
+            await this.page.pdf({
+                path: coverPdfPath,
+                ...pdfOptionsFinal,
+                headerTemplate: coverHeaderTemplate,
+                footerTemplate: coverFooterTemplate,
+                pageRanges: '1'
+            });
+            await replaceFirstPdfPage(pdfPath, coverPdfPath);
+            fs.unlinkSync(coverPdfPath);
+        }
+
         if (finalFootnotePlans.length > 0) {
             await injectFootnotesOverlayIntoPdf(this.browser, pdfPath, finalFootnotePlans, {
-                leftMarginMm: 10,
-                rightMarginMm: 10,
+                tagged: this.config.tagged,
+                baseUrl: this.config.baseUrl,
+                linkPolicy: this.config.linkPolicy,
+                leftMarginMm: margins.left,
+                rightMarginMm: margins.right,
+                pageWidthMm: geometry.widthMm,
+                pageHeightMm: geometry.heightMm,
                 pageNumberBandMm,
                 footnoteAreaMm,
                 fontSizePt: footnoteFontSizePt,
@@ -4604,12 +7861,80 @@ class WikiExporter {
             });
         }
 
-        console.log('PDF file has been saved as:', pdfPath);
+        if (pdfLinkMap && pdfLinkMap.targets) {
+            try {
+                await convertPdfPlaceholderLinks(pdfPath);
+            } catch (error) {
+                this.logger.warn('Failed to convert links to sibling PDFs:', error.message);
+            }
+        }
+
+        // The cover title opens the outline and points at the first page; the cover
+        // subtitle is not a section of its own.
+        const outlineEntries = tocItems
+            .filter(item => item.cover !== 'h2')
+            .map(item => ({
+                title: String(item.text || '').replace(/\u00B6/g, '').replace(/\s+/g, ' ').trim(),
+                level: Number(item.level.slice(1)),
+                page: item.cover === 'h1' ? 1 : (item.page ? item.page + computedOffset : null),
+                destName: item.tocId
+            }));
+        try {
+            const outlineCount = await addPdfOutline(pdfPath, outlineEntries);
+            if (outlineCount > 0) {
+                this.logger.log(`PDF outline written with ${outlineCount} entries.`);
+            }
+        } catch (error) {
+            this.logger.warn('Failed to write PDF outline:', error.message);
+        }
+
+        try {
+            const { violations, accessibilityIssues } = await writePdfDocumentMetadata(
+                pdfPath,
+                await this.collectDocumentMetadata(templateValues.title),
+                { pdfa: this.config.pdfa, tagged: this.config.tagged }
+            );
+            if (this.config.tagged) {
+                if (accessibilityIssues.length === 0) {
+                    this.logger.log('PDF/UA check passed.');
+                } else {
+                    this.logger.warn(`PDF/UA check found ${accessibilityIssues.length} problem(s):`);
+                    accessibilityIssues.forEach(message => this.logger.warn(`  - ${message}`));
+                }
+            }
+            if (this.config.pdfa) {
+                if (violations.length === 0) {
+                    this.logger.log('PDF/A-2b check passed.');
+                } else {
+                    this.logger.warn(`PDF/A-2b check found ${violations.length} non-conforming object(s):`);
+                    violations.forEach(message => this.logger.warn(`  - ${message}`));
+                }
+            }
+        } catch (error) {
+            if (this.config.pdfa) throw new Error(`PDF/A conversion failed: ${error.message}`);
+            if (this.config.tagged) throw new Error(`Tagged PDF post-processing failed: ${error.message}`);
+            this.logger.warn('Failed to write PDF document metadata:', error.message);
+        }
+
+        if (encryptionRule) {
+            try {
+                await encryptPdfFile(pdfPath, encryptionRule);
+            } catch (error) {
+                fs.rmSync(pdfPath, { force: true });
+                throw new Error(`PDF encryption failed: ${error.message}`);
+            }
+            const denied = [['print', encryptionRule.allowPrint], ['copy', encryptionRule.allowCopy], ['edit', encryptionRule.allowEdit]]
+                .filter(([, allowed]) => !allowed)
+                .map(([name]) => name);
+            this.logger.log(`PDF encrypted (AES-256${encryptionRule.userPasswordEnv ? ', password to open' : ''}${denied.length > 0 ? `, denied: ${denied.join(', ')}` : ''}).`);
+        }
+
+        this.logger.log('PDF file has been saved as:', pdfPath);
         return pdfPath;
     }
 
     async cleanupTempFiles(pdfPath) {
-        console.log('Cleaning up temporary files...');
+        this.logger.log('Cleaning up temporary files...');
         
         try {
             const filesToRemove = [
@@ -4619,71 +7944,99 @@ class WikiExporter {
             
             // Remove individual files
             filesToRemove.forEach(file => {
-                const filePath = path.join(this.config.outputDir, file);
+                const filePath = path.join(this.getWorkDir(), file);
                 if (fs.existsSync(filePath)) {
                     fs.unlinkSync(filePath);
-                    console.log(`Removed: ${file}`);
+                    this.logger.log(`Removed: ${file}`);
                 }
             });
 
-            const tempPdfPaths = [
-                pdfPath.replace(/\.pdf$/i, '.content.pdf'),
-                pdfPath.replace(/\.pdf$/i, '.toc.pdf'),
-                pdfPath.replace(/\.pdf$/i, '.toc.tmp.pdf'),
-                pdfPath.replace(/\.pdf$/i, '.probe.pdf')
-            ];
+            // pdfPath may also be the .epub output; its temporary PDFs share the stem.
+            const stem = pdfPath.replace(/\.(pdf|epub)$/i, '');
+            const tempPdfPaths = ['.content.pdf', '.toc.pdf', '.toc.tmp.pdf', '.probe.pdf', '.cover.pdf']
+                .map(suffix => `${stem}${suffix}`);
 
             tempPdfPaths.forEach(filePath => {
                 if (fs.existsSync(filePath)) {
                     fs.unlinkSync(filePath);
-                    console.log(`Removed: ${path.basename(filePath)}`);
+                    this.logger.log(`Removed: ${path.basename(filePath)}`);
                 }
             });
             
             // Remove directories and their contents
             const dirsToRemove = ['fonts', 'images', 'styles'];
             dirsToRemove.forEach(dir => {
-                const dirPath = path.join(this.config.outputDir, dir);
+                const dirPath = path.join(this.getWorkDir(), dir);
                 if (fs.existsSync(dirPath)) {
                     // Remove all files in directory
                     const files = fs.readdirSync(dirPath);
                     files.forEach(file => {
                         const filePath = path.join(dirPath, file);
                         fs.unlinkSync(filePath);
-                        console.log(`Removed: ${dir}/${file}`);
+                        this.logger.log(`Removed: ${dir}/${file}`);
                     });
                     
                     // Remove empty directory
                     fs.rmdirSync(dirPath);
-                    console.log(`Removed directory: ${dir}`);
+                    this.logger.log(`Removed directory: ${dir}`);
                 }
             });
             
-            console.log('Temporary files cleanup completed. Only PDF file remains.');
+            this.logger.log('Temporary files cleanup completed. Only PDF file remains.');
             
         } catch (error) {
-            console.error('Error during temporary files cleanup:', error.message);
+            this.logger.error('Error during temporary files cleanup:', error.message);
         }
     }
 
     async cleanup() {
-        if (this.browser) {
+        if (this.page && !this.page.isClosed()) {
+            await this.page.close().catch(() => null);
+        }
+        // A shared browser belongs to the caller (export-all) and stays open for the next page.
+        if (this.browser && this.ownsBrowser) {
             await this.browser.close();
         }
     }
 }
 
 // Main execution
-(async () => {
-    const exporter = new WikiExporter(config);
-    try {
-        await exporter.init();
-        await exporter.export();
-    } catch (error) {
-        console.error('Export failed:', error);
-        process.exit(1);
-    }
-})();
+if (require.main === module) {
+    (async () => {
+        const config = loadCliConfig(parseCliArgs(hideBin(process.argv)));
+        const exporter = new WikiExporter(config);
+        try {
+            await exporter.init();
+            await exporter.export();
+
+            // Sweep old saved_page_complete files once per command-line run, not per page.
+            console.log('\nRunning cleanup...');
+            cleanup();
+        } catch (error) {
+            console.error('Export failed:', error);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = {
+    EXPORTER_VERSION,
+    WikiExporter,
+    launchBrowser,
+    normalizeExporterConfig,
+    computeRenderFingerprint,
+    OUTPUT_FORMATS,
+    ARCHIVE_FORMATS,
+    normalizeArchiveFormats,
+    archivePathForPdf,
+    CONTENT_SOURCES,
+    normalizeEncryptionRules,
+    resolveEncryptionRule,
+    resolveEncryptionPasswords,
+    resolveSettingPaths,
+    pageGlobToRegExp,
+    matchesPageGlob
+};
 
 
 
@@ -1,9 +1,31 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
 const axios = require('axios');
+const { PDFDocument } = require('pdf-lib');
 const { spawn } = require('child_process');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const {
+    EXPORTER_VERSION,
+    WikiExporter,
+    launchBrowser,
+    normalizeExporterConfig,
+    computeRenderFingerprint,
+    OUTPUT_FORMATS,
+    ARCHIVE_FORMATS,
+    normalizeArchiveFormats,
+    archivePathForPdf,
+    CONTENT_SOURCES,
+    normalizeEncryptionRules,
+    resolveEncryptionRule,
+    resolveEncryptionPasswords,
+    resolveSettingPaths,
+    pageGlobToRegExp,
+    matchesPageGlob
+} = require('./Export');
 
 const argv = yargs(hideBin(process.argv))
     .option('config', {
@@ -40,11 +62,189 @@ const argv = yargs(hideBin(process.argv))
         type: 'number',
         description: 'Footnote font size in pt (default: 8)'
     })
+    .option('toc-depth', {
+        type: 'number',
+        description: 'Deepest heading level listed in the table of contents, 1-6 (default: 2)'
+    })
+    .option('toc-title', {
+        type: 'string',
+        description: 'Title printed above the table of contents'
+    })
+    .option('toc', {
+        type: 'boolean',
+        description: 'Generate the table of contents page (use --no-toc to disable)'
+    })
+    .option('cover', {
+        type: 'boolean',
+        description: 'Generate the cover page (use --no-cover to disable)'
+    })
+    .option('page-format', {
+        type: 'string',
+        description: 'Paper size: A3, A4, A5, Letter, Legal, Tabloid (default: A4)'
+    })
+    .option('orientation', {
+        type: 'string',
+        choices: ['portrait', 'landscape'],
+        description: 'Page orientation (default: portrait)'
+    })
+    .option('margins', {
+        type: 'string',
+        description: 'Page margins as "top right bottom left", numbers in mm or with a unit (default: "20 10 10 10")'
+    })
+    .option('logo', {
+        type: 'string',
+        description: 'Header logo image (svg, png, jpg, gif, webp); pass "" for no logo'
+    })
+    .option('header-template', {
+        type: 'string',
+        description: 'Header HTML or path to an .html file, with {{title}}, {{pageNumber}}, ... placeholders'
+    })
+    .option('footer-template', {
+        type: 'string',
+        description: 'Footer HTML or path to an .html file, with {{title}}, {{pageNumber}}, ... placeholders'
+    })
     .option('dry-run', {
         type: 'boolean',
         description: 'Only print sync actions without exporting PDFs',
         default: false
     })
+    .option('force', {
+        type: 'boolean',
+        description: 'Re-export pages even when their PDF is up to date'
+    })
+    .option('include', {
+        alias: 'only',
+        type: 'string',
+        array: true,
+        description: 'Only process pages whose path matches this glob (repeatable), e.g. "/en/documentation/**"'
+    })
+    .option('exclude', {
+        type: 'string',
+        array: true,
+        description: 'Skip pages whose path matches this glob (repeatable), e.g. "**/drafts/**"'
+    })
+    .option('locale', {
+        type: 'string',
+        array: true,
+        description: 'Only process pages in this locale (repeatable), e.g. "ru"'
+    })
+    .option('tag', {
+        type: 'string',
+        array: true,
+        description: 'Only process pages with this Wiki.js tag (repeatable, any of them)'
+    })
+    .option('prune', {
+        type: 'string',
+        choices: ['off', 'report', 'archive', 'delete'],
+        description: 'What to do with PDFs of pages removed or moved in Wiki.js (default: off)'
+    })
+    .option('concurrency', {
+        alias: 'j',
+        type: 'number',
+        description: 'Number of changed pages rendered in parallel (default: 1)'
+    })
+    .option('book-prefix', {
+        type: 'string',
+        description: 'Book mode: render every page under this path into one PDF, e.g. "/en/documentation/product"'
+    })
+    .option('book-pages', {
+        type: 'string',
+        array: true,
+        description: 'Book mode: ordered list of page paths rendered as chapters of one PDF'
+    })
+    .option('book-title', {
+        type: 'string',
+        description: 'Book mode: title printed on the cover (default: first chapter title)'
+    })
+    .option('book-subtitle', {
+        type: 'string',
+        description: 'Book mode: subtitle printed on the cover'
+    })
+    .option('book-name', {
+        type: 'string',
+        description: 'Book mode: output PDF file name inside the output directory'
+    })
+    .option('format', {
+        type: 'string',
+        choices: OUTPUT_FORMATS,
+        description: 'Output format of every page: pdf (default) or epub'
+    })
+    .option('archive', {
+        type: 'string',
+        array: true,
+        description: `Also save an offline copy of every page next to its PDF: ${ARCHIVE_FORMATS.join(', ')} (repeatable)`
+    })
+    .option('link-pdfs', {
+        type: 'boolean',
+        description: 'Rewrite links between wiki pages to relative links to the sibling PDFs in the output directory'
+    })
+    .option('content-source', {
+        type: 'string',
+        choices: CONTENT_SOURCES,
+        description: 'Where page content comes from: site (open each wiki page, default) or graphql (page source via the API, no wiki UI)'
+    })
+    .option('as-of', {
+        type: 'string',
+        description: 'Snapshot the site as it was at this date or time (ISO 8601); implies --content-source graphql'
+    })
+    .option('pdfa', {
+        type: 'boolean',
+        description: 'Write PDF/A-2b files for long-term archiving'
+    })
+    .option('tagged', {
+        type: 'boolean',
+        description: 'Write accessible tagged PDFs (PDF/UA)'
+    })
+    .option('user-password-env', {
+        type: 'string',
+        description: 'Environment variable with the password needed to open every PDF'
+    })
+    .option('owner-password-env', {
+        type: 'string',
+        description: 'Environment variable with the password that lifts the PDF restrictions (default: random)'
+    })
+    .option('deny', {
+        type: 'string',
+        array: true,
+        choices: ['print', 'copy', 'edit'],
+        description: 'Restrict every encrypted PDF: print, copy, edit (repeatable)'
+    })
+    .option('full', {
+        type: 'boolean',
+        description: 'Fetch the whole page list and reconcile every page instead of only the pages changed since the last sync'
+    })
+    .option('full-sync-interval', {
+        type: 'number',
+        description: 'Hours after which an incremental run becomes a full sync (default: 24, 0: always full)'
+    })
+    .option('check-dependencies', {
+        type: 'boolean',
+        description: 'Rebuild up-to-date pages whose embedded wiki assets or pages changed (default: on)'
+    })
+    .option('retries', {
+        type: 'number',
+        description: 'Retry a failed page this many times with exponential backoff (default: 2)'
+    })
+    .option('retry-delay', {
+        type: 'number',
+        description: 'Milliseconds before the first retry, doubled for every further one (default: 5000)'
+    })
+    .option('resume', {
+        type: 'boolean',
+        description: 'Continue an interrupted run, skipping the pages it already exported'
+    })
+    .option('report', {
+        type: 'string',
+        description: 'Write a JSON report of the run (every page with its action, reason, duration and result) to this file'
+    })
+    .option('junit', {
+        type: 'string',
+        description: 'Write the run as a JUnit XML report to this file; failed exports are failed test cases'
+    })
+    .option('isolate', {
+        type: 'boolean',
+        description: 'Run every page export in its own Export.js child process (slower, one Chromium per page)'
+    })
     .help()
     .argv;
 
@@ -84,7 +284,7 @@ function sanitizePathSegment(segment) {
     return safe;
 }
 
-function buildRelativePdfPath(pagePath) {
+function buildRelativePdfPath(pagePath, format = 'pdf') {
     const normalizedPath = normalizeWikiPath(pagePath);
     const segments = normalizedPath
         .split('/')
@@ -93,14 +293,76 @@ function buildRelativePdfPath(pagePath) {
         .filter(Boolean);
 
     if (segments.length === 0) {
-        return 'home.pdf';
+        return `home.${format}`;
     }
 
     const fileStem = segments.pop() || 'index';
-    const pdfName = `${fileStem}.pdf`;
+    const pdfName = `${fileStem}.${format}`;
     return segments.length > 0 ? path.join(...segments, pdfName) : pdfName;
 }
 
+// Maps every wiki page path (lowercase, as Export.js looks links up) to its PDF
+// path relative to outputDir, so cross-page links can point at sibling PDFs.
+function buildPdfLinkTargets(pages) {
+    const targets = {};
+    for (const page of pages) {
+        const articlePath = normalizeWikiPath(page.path);
+        targets[articlePath.toLowerCase()] = toManifestKey(buildRelativePdfPath(articlePath));
+    }
+    return targets;
+}
+
+function normalizeGlobList(value) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    return list
+        .flatMap(item => String(item || '').split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Filter settings as stored in the manifest sync state and the resume journal.
+function describePageFilters(config) {
+    return {
+        include: config.include,
+        exclude: config.exclude,
+        locales: config.locales,
+        tags: config.tags
+    };
+}
+
+// Page filters of a run (locales, include, exclude, tags). Returns a function giving the
+// rule that leaves a page out, or null when the page is selected.
+function createPageFilter(config) {
+    const includeMatchers = config.include.map(pageGlobToRegExp);
+    const excludeMatchers = config.exclude.map(pattern => ({ pattern, matcher: pageGlobToRegExp(pattern) }));
+    const locales = new Set(config.locales.map(locale => locale.toLowerCase()));
+    const tags = new Set(config.tags.map(tag => tag.toLowerCase()));
+
+    return (page, articlePath) => {
+        if (locales.size > 0 && !locales.has(String(page.locale || '').toLowerCase())) {
+            return `locale ${page.locale || 'unknown'} not in --locale ${config.locales.join(', ')}`;
+        }
+        if (includeMatchers.length > 0 && !matchesPageGlob(articlePath, page.locale, includeMatchers)) {
+            return `not matched by --include ${config.include.join(', ')}`;
+        }
+        const excluded = excludeMatchers.find(({ matcher }) => matchesPageGlob(articlePath, page.locale, [matcher]));
+        if (excluded) {
+            return `excluded by --exclude ${excluded.pattern}`;
+        }
+        if (tags.size > 0 && !(page.tags || []).some(tag => tags.has(String(tag).toLowerCase()))) {
+            return `no tag from --tag ${config.tags.join(', ')}`;
+        }
+        return null;
+    };
+}
+
+// The fallback page list queries do not ask for tags; filtering on them would drop every page.
+function assertPageTagsAvailable(config, pages) {
+    if (config.tags.length > 0 && pages.length > 0 && pages.every(page => page.tags === null)) {
+        throw new Error('The Wiki.js page list came without tags, so --tag cannot be applied.');
+    }
+}
+
 function normalizeTimestamp(value) {
     if (!value) return null;
     const millis = Date.parse(value);
@@ -122,6 +384,12 @@ function writeJson(filePath, value) {
     fs.writeFileSync(filePath, JSON.stringify(value, null, 2), 'utf8');
 }
 
+function writeJsonAtomic(filePath, value) {
+    const tempPath = `${filePath}.tmp`;
+    writeJson(tempPath, value);
+    fs.renameSync(tempPath, filePath);
+}
+
 function ensureDirectory(dirPath) {
     if (!fs.existsSync(dirPath)) {
         fs.mkdirSync(dirPath, { recursive: true });
@@ -185,7 +453,11 @@ function extractPages(graphqlData) {
                 path: normalizeWikiPath(pagePath),
                 title: typeof source.title === 'string' ? source.title : '',
                 updatedAt: source.updatedAt || source.modifiedAt || source.updated || source.createdAt || null,
-                locale: source.locale || null
+                createdAt: source.createdAt || null,
+                locale: source.locale || null,
+                tags: Array.isArray(source.tags)
+                    ? source.tags.map(tag => (tag && typeof tag === 'object' ? tag.tag || tag.title : tag)).filter(Boolean).map(String)
+                    : null
             };
         })
         .filter(Boolean);
@@ -256,8 +528,10 @@ async function fetchWikiPages(baseUrl, apiKey, timeoutMs) {
                             id
                             path
                             title
+                            createdAt
                             updatedAt
                             locale
+                            tags
                         }
                     }
                 }
@@ -273,6 +547,26 @@ async function fetchWikiPages(baseUrl, apiKey, timeoutMs) {
                             id
                             path
                             title
+                            createdAt
+                            updatedAt
+                            locale
+                            tags
+                        }
+                    }
+                }
+            `,
+            variables: {}
+        },
+        {
+            name: 'list() without tags',
+            query: `
+                query ExportAllPages {
+                    pages {
+                        list {
+                            id
+                            path
+                            title
+                            createdAt
                             updatedAt
                             locale
                         }
@@ -342,19 +636,322 @@ async function fetchWikiPages(baseUrl, apiKey, timeoutMs) {
     throw new Error('Failed to fetch pages list from Wiki.js GraphQL API.');
 }
 
-function buildMetaRecord(page, pageUrl, sourceUpdatedAt, generatedAt) {
+// Pages edited since the last sync, newest first. Wiki.js has no "updated since"
+// filter, so the list is requested sorted by update time with a growing limit until it
+// reaches pages older than `since`. Returns null when that does not work (errors, an
+// unsorted list, too many changes) and the caller falls back to the full page list.
+async function fetchChangedWikiPages(baseUrl, apiKey, timeoutMs, since) {
+    const endpoint = `${baseUrl}/graphql`;
+    const sinceTime = Date.parse(since);
+    const query = `
+        query ExportChangedPages($limit: Int) {
+            pages {
+                list(limit: $limit, orderBy: UPDATED, orderByDirection: DESC) {
+                    id
+                    path
+                    title
+                    createdAt
+                    updatedAt
+                    locale
+                    tags
+                }
+            }
+        }
+    `;
+
+    // 100, 400, 1600, 6400, then a last request for the full INCREMENTAL_MAX_CHANGES.
+    for (let limit = INCREMENTAL_BATCH_SIZE; ; limit = Math.min(limit * 4, INCREMENTAL_MAX_CHANGES)) {
+        log('INFO', `Fetching pages changed since ${since} via GraphQL (limit ${limit})...`);
+        let payload;
+        try {
+            payload = await sendGraphqlRequest(endpoint, apiKey, query, { limit }, timeoutMs);
+        } catch (error) {
+            log('WARN', `GraphQL request for changed pages failed: ${error.message}`);
+            return null;
+        }
+        if (Array.isArray(payload.errors) && payload.errors.length > 0) {
+            const errorText = payload.errors.map(err => err && err.message ? err.message : String(err)).join('; ');
+            log('WARN', `GraphQL returned errors for changed pages: ${errorText}`);
+            return null;
+        }
+        if (!payload.data || typeof payload.data !== 'object') return null;
+
+        const listed = extractPages(payload.data);
+        const times = listed.map(page => Date.parse(page.updatedAt));
+        if (times.some((time, index) => !Number.isFinite(time) || (index > 0 && time > times[index - 1]))) {
+            log('WARN', 'Changed pages are not sorted by update time.');
+            return null;
+        }
+        if (listed.length < limit || times[times.length - 1] < sinceTime) {
+            return deduplicatePages(listed.filter((page, index) => times[index] >= sinceTime));
+        }
+        if (limit >= INCREMENTAL_MAX_CHANGES) break;
+    }
+
+    log('WARN', `More than ${INCREMENTAL_MAX_CHANGES} pages changed since ${since}.`);
+    return null;
+}
+
+// Pages created after the snapshot date are left out (and handled like removed pages).
+// A page edited after it is exported from the revision current at that date, which no
+// longer changes, so its source timestamp is capped at the snapshot date.
+function snapshotPagesAsOf(pages, asOf) {
+    const asOfTime = Date.parse(asOf);
+    return pages
+        .filter(page => {
+            const createdTime = Date.parse(page.createdAt);
+            return !Number.isFinite(createdTime) || createdTime <= asOfTime;
+        })
+        .map(page => {
+            const updatedTime = Date.parse(page.updatedAt);
+            if (!Number.isFinite(updatedTime) || updatedTime <= asOfTime) return page;
+            return { ...page, updatedAt: asOf };
+        });
+}
+
+function buildMetaRecord(page, pageUrl, sourceUpdatedAt, generatedAt, renderFingerprint, dependencies = null) {
     return {
         pageId: page.id || null,
         pagePath: page.path,
         pageTitle: page.title || null,
         pageLocale: page.locale || null,
+        pageTags: page.tags || null,
         pageUrl,
         sourceUpdatedAt: sourceUpdatedAt || null,
-        generatedAt: generatedAt || new Date().toISOString()
+        generatedAt: generatedAt || new Date().toISOString(),
+        exporterVersion: EXPORTER_VERSION,
+        renderFingerprint: renderFingerprint || null,
+        dependencies: dependencies || null
+    };
+}
+
+// Dependency list written by Export.js (--dependency-file): uploaded assets with their
+// ETag/Last-Modified/hash and the paths of wiki pages embedded in the page.
+function readDependencyFile(filePath) {
+    const stored = readJsonSafe(filePath);
+    if (!stored || typeof stored !== 'object') return null;
+    const assets = Array.isArray(stored.assets) ? stored.assets.filter(asset => asset && typeof asset.url === 'string') : [];
+    const pages = Array.isArray(stored.pages) ? stored.pages.filter(pagePath => typeof pagePath === 'string') : [];
+    return assets.length > 0 || pages.length > 0 ? { assets, pages } : null;
+}
+
+// Checks the dependencies recorded for a page. Every asset URL is requested once per
+// run (conditionally when an ETag or Last-Modified is known); embedded pages are looked
+// up in the page list. Assets that cannot be checked count as unchanged.
+function createDependencyChecker(config, pages) {
+    const pageUpdates = new Map();
+    pages.forEach(page => {
+        const updatedTime = Date.parse(page.updatedAt);
+        if (!Number.isFinite(updatedTime)) return;
+        const articlePath = normalizeWikiPath(page.path);
+        [articlePath, page.locale ? `/${page.locale}${articlePath}` : null].filter(Boolean).forEach(key => {
+            pageUpdates.set(key.toLowerCase(), updatedTime);
+        });
+    });
+    const assetChecks = new Map();
+
+    const checkAsset = async (asset) => {
+        const headers = { Authorization: `Bearer ${config.apiKey}` };
+        if (asset.etag) headers['If-None-Match'] = asset.etag;
+        if (asset.lastModified) headers['If-Modified-Since'] = asset.lastModified;
+        let response;
+        try {
+            response = await axios.get(asset.url, {
+                timeout: config.timeout,
+                headers,
+                responseType: 'arraybuffer',
+                validateStatus: () => true
+            });
+        } catch (error) {
+            log('WARN', `Could not check ${asset.url}: ${error.message}`);
+            return false;
+        }
+        if (response.status === 304) return false;
+        if (response.status === 404 || response.status === 410) return true;
+        if (response.status >= 400) {
+            log('WARN', `Could not check ${asset.url}: HTTP ${response.status}`);
+            return false;
+        }
+        if (asset.sha256) {
+            return crypto.createHash('sha256').update(Buffer.from(response.data)).digest('hex') !== asset.sha256;
+        }
+        return Boolean(asset.etag) && response.headers.etag !== asset.etag;
+    };
+
+    return async (record) => {
+        const dependencies = record && record.dependencies;
+        if (!dependencies) return null;
+        const generatedTime = Date.parse(record.generatedAt);
+        for (const pagePath of dependencies.pages || []) {
+            const updatedTime = pageUpdates.get(normalizeWikiPath(pagePath).toLowerCase());
+            if (updatedTime && Number.isFinite(generatedTime) && updatedTime > generatedTime) return pagePath;
+        }
+        for (const asset of dependencies.assets || []) {
+            if (!assetChecks.has(asset.url)) assetChecks.set(asset.url, checkAsset(asset));
+            if (await assetChecks.get(asset.url)) return asset.url;
+        }
+        return null;
+    };
+}
+
+const MANIFEST_FILE_NAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Manifest keys are PDF paths relative to outputDir with forward slashes on every platform.
+function toManifestKey(relativePdfPath) {
+    return String(relativePdfPath || '').split(path.sep).join('/');
+}
+
+function manifestKeyToPath(outputDir, key) {
+    return path.join(outputDir, ...String(key || '').split('/'));
+}
+
+async function describePdfFile(pdfPath) {
+    const bytes = fs.readFileSync(pdfPath);
+    let pageCount = null;
+    try {
+        const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+        pageCount = pdfDoc.getPageCount();
+    } catch (_) {
+        pageCount = null;
+    }
+    return {
+        pdfSize: bytes.length,
+        pdfPageCount: pageCount,
+        pdfSha256: crypto.createHash('sha256').update(bytes).digest('hex')
+    };
+}
+
+async function buildManifestEntry(metaRecord, outputDir, key) {
+    const pdfInfo = await describePdfFile(manifestKeyToPath(outputDir, key));
+    return {
+        ...metaRecord,
+        pdfPath: key,
+        ...pdfInfo
     };
 }
 
-function evaluateSyncState(page, pdfPath, metaPath) {
+function createEmptyManifest() {
+    return {
+        version: MANIFEST_VERSION,
+        updatedAt: null,
+        sync: null,
+        pages: {},
+        archived: {}
+    };
+}
+
+// Load outputDir/manifest.json. When it does not exist yet, existing per-PDF
+// .meta.json sidecars are folded into a new manifest (and removed once it is saved).
+async function loadManifest(outputDir) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE_NAME);
+    const stored = readJsonSafe(manifestPath);
+    if (stored && typeof stored === 'object' && stored.pages && typeof stored.pages === 'object') {
+        return {
+            manifest: {
+                ...createEmptyManifest(),
+                ...stored,
+                archived: stored.archived && typeof stored.archived === 'object' ? stored.archived : {}
+            },
+            migratedSidecars: []
+        };
+    }
+
+    const manifest = createEmptyManifest();
+    const records = collectExistingMetaRecords(outputDir);
+    for (const record of records) {
+        if (!fs.existsSync(record.pdfPath)) continue;
+        const key = toManifestKey(record.relativePdfPath);
+        manifest.pages[key] = await buildManifestEntry(record.meta, outputDir, key);
+    }
+    return {
+        manifest,
+        migratedSidecars: records.map(record => record.metaPath)
+    };
+}
+
+function saveManifest(outputDir, manifest) {
+    manifest.version = MANIFEST_VERSION;
+    manifest.updatedAt = new Date().toISOString();
+    const sortedPages = {};
+    Object.keys(manifest.pages).sort().forEach(key => {
+        sortedPages[key] = manifest.pages[key];
+    });
+    manifest.pages = sortedPages;
+    writeJsonAtomic(path.join(outputDir, MANIFEST_FILE_NAME), manifest);
+}
+
+const JOURNAL_FILE_NAME = '.export-all-journal.json';
+const JOURNAL_VERSION = 1;
+
+// Progress of the running sync, saved after every page so a run that was killed can be
+// continued with --resume. A run that reaches its summary removes the journal.
+function loadJournal(outputDir) {
+    const stored = readJsonSafe(path.join(outputDir, JOURNAL_FILE_NAME));
+    if (!stored || typeof stored !== 'object' || !stored.pages || typeof stored.pages !== 'object') return null;
+    return stored;
+}
+
+function saveJournal(outputDir, journal) {
+    writeJsonAtomic(path.join(outputDir, JOURNAL_FILE_NAME), journal);
+}
+
+function removeJournal(outputDir) {
+    fs.rmSync(path.join(outputDir, JOURNAL_FILE_NAME), { force: true });
+}
+
+// A run is only resumed with the settings it was started with.
+function describeJournalSettings(config) {
+    return {
+        renderFingerprint: config.renderFingerprint,
+        outputFormat: config.outputFormat,
+        filters: describePageFilters(config),
+        force: config.force,
+        asOf: config.asOf
+    };
+}
+
+const INCREMENTAL_BATCH_SIZE = 100;
+const INCREMENTAL_MAX_CHANGES = 10000;
+// Pages edited this long before the previous run started are asked for again, so a clock
+// difference between this machine and the wiki server cannot hide an edit.
+const INCREMENTAL_OVERLAP_MS = 5 * 60 * 1000;
+
+// An incremental run only looks at pages changed since the last recorded sync. Anything
+// that affects unchanged pages as well needs the full page list.
+function planSync(config, manifest, now) {
+    const sync = manifest.sync;
+    const full = reason => ({ incremental: false, reason });
+    if (config.full) return full('requested');
+    if (config.fullSyncIntervalHours === 0) return full('incremental_sync_disabled');
+    if (!sync || !sync.lastSyncAt || !sync.lastFullSyncAt) return full('no_previous_sync');
+    if (config.force) return full('forced');
+    if (config.asOf) return full('snapshot');
+    if (sync.exporterVersion !== EXPORTER_VERSION) return full('exporter_version_changed');
+    if (sync.renderFingerprint !== config.renderFingerprint
+        || sync.outputFormat !== config.outputFormat
+        || JSON.stringify(sync.archiveFormats || []) !== JSON.stringify(config.archiveFormats)) {
+        return full('settings_changed');
+    }
+    if (JSON.stringify(sync.filters || describePageFilters({ include: [], exclude: [], locales: [], tags: [] }))
+        !== JSON.stringify(describePageFilters(config))) {
+        return full('filters_changed');
+    }
+    if (now - Date.parse(sync.lastFullSyncAt) >= config.fullSyncIntervalHours * 3600 * 1000) {
+        return full('scheduled');
+    }
+    return {
+        incremental: true,
+        since: new Date(Date.parse(sync.lastSyncAt) - INCREMENTAL_OVERLAP_MS).toISOString()
+    };
+}
+
+// Encrypted pages get no offline archive copies.
+function archiveFormatsForPage(config, articlePath, locale) {
+    return resolveEncryptionRule(config.encryption, articlePath, locale) ? [] : config.archiveFormats;
+}
+
+function evaluateSyncState(page, pdfPath, meta, options = {}) {
     const sourceUpdatedAt = normalizeTimestamp(page.updatedAt);
 
     if (!fs.existsSync(pdfPath)) {
@@ -366,7 +963,34 @@ function evaluateSyncState(page, pdfPath, metaPath) {
         };
     }
 
-    const meta = readJsonSafe(metaPath);
+    if (options.force) {
+        return {
+            shouldExport: true,
+            action: 'update',
+            reason: 'forced',
+            sourceUpdatedAt
+        };
+    }
+
+    if (meta && options.renderFingerprint && meta.renderFingerprint !== options.renderFingerprint) {
+        return {
+            shouldExport: true,
+            action: 'update',
+            reason: meta.renderFingerprint ? 'render_settings_changed' : 'render_fingerprint_missing',
+            sourceUpdatedAt
+        };
+    }
+
+    const archiveFormats = options.archiveFormats || [];
+    if (archiveFormats.some(format => !fs.existsSync(archivePathForPdf(pdfPath, format)))) {
+        return {
+            shouldExport: true,
+            action: 'update',
+            reason: 'archive_missing',
+            sourceUpdatedAt
+        };
+    }
+
     if (meta && typeof meta.sourceUpdatedAt === 'string' && sourceUpdatedAt) {
         const metaUpdatedAt = normalizeTimestamp(meta.sourceUpdatedAt);
         if (metaUpdatedAt && metaUpdatedAt === sourceUpdatedAt) {
@@ -409,6 +1033,165 @@ function evaluateSyncState(page, pdfPath, metaPath) {
     };
 }
 
+const ARCHIVE_DIR_NAME = '_archive';
+const PRUNE_MODES = new Set(['off', 'report', 'archive', 'delete']);
+
+// Legacy per-PDF <name>.pdf.meta.json sidecars, only read to migrate them into the manifest.
+function collectExistingMetaRecords(outputDir) {
+    const records = [];
+    const walk = (dirPath) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dirPath, { withFileTypes: true });
+        } catch (_) {
+            return;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                if (dirPath === outputDir && entry.name === ARCHIVE_DIR_NAME) continue;
+                walk(entryPath);
+                continue;
+            }
+            if (!entry.isFile() || !entry.name.endsWith('.pdf.meta.json')) continue;
+            const meta = readJsonSafe(entryPath);
+            if (!meta || typeof meta !== 'object') continue;
+            const pdfPath = entryPath.slice(0, -'.meta.json'.length);
+            records.push({
+                meta,
+                metaPath: entryPath,
+                pdfPath,
+                relativePdfPath: path.relative(outputDir, pdfPath)
+            });
+        }
+    };
+    walk(outputDir);
+    return records;
+}
+
+function isStablePageId(pageId) {
+    return pageId !== null && pageId !== undefined && !String(pageId).startsWith('idx-');
+}
+
+function removeEmptyParentDirs(startDir, stopDir) {
+    let current = startDir;
+    while (current && current !== stopDir && current.startsWith(stopDir)) {
+        try {
+            if (fs.readdirSync(current).length > 0) return;
+            fs.rmdirSync(current);
+        } catch (_) {
+            return;
+        }
+        current = path.dirname(current);
+    }
+}
+
+// HTML/MHTML archives sit next to their PDF and follow it when it is moved or pruned.
+function moveExportedFiles(pdfPath, targetPdfPath) {
+    moveFile(pdfPath, targetPdfPath);
+    ARCHIVE_FORMATS.forEach(format => {
+        moveFile(archivePathForPdf(pdfPath, format), archivePathForPdf(targetPdfPath, format));
+    });
+}
+
+function deleteExportedFiles(pdfPath) {
+    [pdfPath, ...ARCHIVE_FORMATS.map(format => archivePathForPdf(pdfPath, format))].forEach(filePath => {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+}
+
+function moveFile(sourcePath, targetPath) {
+    if (!fs.existsSync(sourcePath)) return;
+    ensureDirectory(path.dirname(targetPath));
+    try {
+        fs.renameSync(sourcePath, targetPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(sourcePath, targetPath);
+        fs.unlinkSync(sourcePath);
+    }
+}
+
+// Compare the PDFs recorded in the manifest with the current page list.
+// Pages whose id reappears under a new path are renamed in place so they are not rebuilt;
+// the rest are orphans and get reported, archived or deleted depending on config.prune.
+function reconcileRemovedPages(pages, config, stats, manifest, recordPage = () => {}) {
+    if (config.prune === 'off') return;
+
+    const expectedKeys = new Set();
+    const pagesById = new Map();
+    pages.forEach(page => {
+        const key = toManifestKey(buildRelativePdfPath(page.path, config.outputFormat));
+        expectedKeys.add(key);
+        if (isStablePageId(page.id)) pagesById.set(String(page.id), { page, key });
+    });
+
+    const canModify = !config.dryRun && config.prune !== 'report';
+
+    Object.keys(manifest.pages).forEach(key => {
+        if (expectedKeys.has(key)) return;
+        // Files of the other output format are not orphans: switching --format keeps them.
+        if (path.posix.extname(key).toLowerCase() !== `.${config.outputFormat}`) return;
+
+        const record = manifest.pages[key];
+        const pdfPath = manifestKeyToPath(config.outputDir, key);
+        const pageId = record.pageId;
+        const movedTo = isStablePageId(pageId) ? pagesById.get(String(pageId)) : null;
+        if (movedTo && !manifest.pages[movedTo.key]) {
+            const targetPdfPath = manifestKeyToPath(config.outputDir, movedTo.key);
+            if (!fs.existsSync(targetPdfPath)) {
+                stats.moved += 1;
+                log('MOVE', `${record.pagePath || key} -> ${movedTo.page.path} (page id ${pageId})`);
+                recordPage(record, key, {
+                    action: 'move',
+                    status: canModify ? 'moved' : 'planned',
+                    reason: `page id ${pageId} moved to ${movedTo.page.path}`,
+                    outputPath: movedTo.key
+                });
+                if (!canModify) return;
+
+                moveExportedFiles(pdfPath, targetPdfPath);
+                delete manifest.pages[key];
+                manifest.pages[movedTo.key] = {
+                    ...record,
+                    pagePath: movedTo.page.path,
+                    pageTitle: movedTo.page.title || record.pageTitle || null,
+                    pageUrl: `${config.baseUrl}${movedTo.page.path}`,
+                    pdfPath: movedTo.key
+                };
+                removeEmptyParentDirs(path.dirname(pdfPath), config.outputDir);
+                return;
+            }
+        }
+
+        stats.pruned += 1;
+        const orphanLabel = record.pagePath || key;
+        if (!canModify) {
+            log('ORPHAN', `${orphanLabel} -> ${key} (page no longer in Wiki.js)`);
+            recordPage(record, key, { action: 'prune', status: 'planned', reason: 'page_removed' });
+            return;
+        }
+
+        if (config.prune === 'archive') {
+            const archiveKey = `${ARCHIVE_DIR_NAME}/${key}`;
+            moveExportedFiles(pdfPath, manifestKeyToPath(config.outputDir, archiveKey));
+            manifest.archived[archiveKey] = {
+                ...record,
+                pdfPath: archiveKey,
+                archivedAt: new Date().toISOString()
+            };
+            log('ARCHIVE', `${orphanLabel} -> ${archiveKey}`);
+            recordPage(record, key, { action: 'prune', status: 'archived', reason: 'page_removed', outputPath: archiveKey });
+        } else {
+            deleteExportedFiles(pdfPath);
+            log('DELETE', `${orphanLabel} -> ${key}`);
+            recordPage(record, key, { action: 'prune', status: 'deleted', reason: 'page_removed' });
+        }
+        delete manifest.pages[key];
+        removeEmptyParentDirs(path.dirname(pdfPath), config.outputDir);
+    });
+}
+
 function forwardWithPrefix(stream, prefix, writer) {
     let buffer = '';
     stream.on('data', (chunk) => {
@@ -428,6 +1211,41 @@ function forwardWithPrefix(stream, prefix, writer) {
     });
 }
 
+// Console-compatible logger that tags every line with the page prefix, used for
+// in-process exports so parallel pages do not interleave anonymous output.
+function createPrefixedLogger(prefix) {
+    const writeLines = (writer, linePrefix, args) => {
+        const text = util.format(...args);
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trimEnd();
+            if (trimmed) writer.write(`${linePrefix}${trimmed}\n`);
+        });
+    };
+    return {
+        log: (...args) => writeLines(process.stdout, prefix, args),
+        info: (...args) => writeLines(process.stdout, prefix, args),
+        warn: (...args) => writeLines(process.stderr, `${prefix}ERR `, args),
+        error: (...args) => writeLines(process.stderr, `${prefix}ERR `, args)
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    const runners = Array.from({ length: workerCount }, async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex];
+            nextIndex += 1;
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
 function runSingleExport(options) {
     return new Promise((resolve) => {
         const args = ['Export.js'];
@@ -444,12 +1262,89 @@ function runSingleExport(options) {
             '--headless',
             '--timeout', String(options.timeout)
         );
+        if (options.workDir) {
+            args.push('--work-dir', options.workDir);
+        }
+        if (options.dependencyFile) {
+            args.push('--dependency-file', options.dependencyFile);
+        }
         if (Number.isFinite(options.fontSize) && options.fontSize > 0) {
             args.push('--font-size', String(options.fontSize));
         }
         if (Number.isFinite(options.footnoteFontSize) && options.footnoteFontSize > 0) {
             args.push('--footnote-font-size', String(options.footnoteFontSize));
         }
+        const renderOverrides = options.renderOverrides || {};
+        if (Number.isFinite(renderOverrides.tocDepth)) {
+            args.push('--toc-depth', String(renderOverrides.tocDepth));
+        }
+        if (typeof renderOverrides.tocTitle === 'string') {
+            args.push('--toc-title', renderOverrides.tocTitle);
+        }
+        if (typeof renderOverrides.tocEnabled === 'boolean') {
+            args.push(renderOverrides.tocEnabled ? '--toc' : '--no-toc');
+        }
+        if (typeof renderOverrides.coverEnabled === 'boolean') {
+            args.push(renderOverrides.coverEnabled ? '--cover' : '--no-cover');
+        }
+        if (typeof renderOverrides.pageFormat === 'string') {
+            args.push('--page-format', renderOverrides.pageFormat);
+        }
+        if (typeof renderOverrides.orientation === 'string') {
+            args.push('--orientation', renderOverrides.orientation);
+        }
+        if (typeof renderOverrides.margins === 'string') {
+            args.push('--margins', renderOverrides.margins);
+        }
+        if (typeof renderOverrides.logoPath === 'string') {
+            args.push('--logo', renderOverrides.logoPath);
+        }
+        if (typeof renderOverrides.headerTemplate === 'string') {
+            args.push('--header-template', renderOverrides.headerTemplate);
+        }
+        if (typeof renderOverrides.footerTemplate === 'string') {
+            args.push('--footer-template', renderOverrides.footerTemplate);
+        }
+        if (typeof renderOverrides.contentSource === 'string') {
+            args.push('--content-source', renderOverrides.contentSource);
+        }
+        if (typeof renderOverrides.asOf === 'string') {
+            args.push('--as-of', renderOverrides.asOf);
+        }
+        if (typeof renderOverrides.pdfa === 'boolean') {
+            args.push(renderOverrides.pdfa ? '--pdfa' : '--no-pdfa');
+        }
+        if (typeof renderOverrides.tagged === 'boolean') {
+            args.push(renderOverrides.tagged ? '--tagged' : '--no-tagged');
+        }
+        if (Array.isArray(renderOverrides.encryption) && renderOverrides.encryption.length > 0) {
+            // The first rule comes from this command line; the child reads the rest from the config file.
+            const [cliRule] = renderOverrides.encryption;
+            if (cliRule.userPasswordEnv) args.push('--user-password-env', cliRule.userPasswordEnv);
+            if (cliRule.ownerPasswordEnv) args.push('--owner-password-env', cliRule.ownerPasswordEnv);
+            const deny = [['print', cliRule.allowPrint], ['copy', cliRule.allowCopy], ['edit', cliRule.allowEdit]]
+                .filter(([, allowed]) => !allowed)
+                .map(([name]) => name);
+            if (deny.length > 0) args.push('--deny', ...deny);
+        }
+        if (options.pageId) {
+            args.push('--page-id', String(options.pageId));
+        }
+        if (options.pageMeta) {
+            args.push('--page-meta', JSON.stringify(options.pageMeta));
+        }
+        if (options.outputFormat) {
+            args.push('--format', options.outputFormat);
+        }
+        if (Array.isArray(options.archiveFormats) && options.archiveFormats.length > 0) {
+            args.push('--archive', ...options.archiveFormats);
+        }
+        if (options.pdfLinkMap) {
+            // The map lists every page of the wiki, which is too long for a command line.
+            const mapPath = path.join(options.workDir || os.tmpdir(), 'pdf-link-map.json');
+            fs.writeFileSync(mapPath, JSON.stringify(options.pdfLinkMap), 'utf8');
+            args.push('--pdf-link-map', mapPath);
+        }
 
         const child = spawn(process.execPath, args, {
             cwd: __dirname,
@@ -470,6 +1365,171 @@ function runSingleExport(options) {
     });
 }
 
+// Chapter order: the explicit page list as given, otherwise the section page followed
+// by every page below it sorted by path.
+function selectBookChapters(pages, book) {
+    const pagesByPath = new Map(pages.map(page => [normalizeWikiPath(page.path).toLowerCase(), page]));
+    const toChapter = (articlePath, page) => ({
+        path: articlePath,
+        title: (page && page.title) || articlePath.split('/').filter(Boolean).pop() || articlePath,
+        updatedAt: (page && page.updatedAt) || null,
+        locale: (page && page.locale) || '',
+        id: page && isStablePageId(page.id) ? page.id : null
+    });
+
+    if (book.pages.length > 0) {
+        const missing = [];
+        const chapters = book.pages.map(rawPath => {
+            const articlePath = normalizeWikiPath(rawPath);
+            const page = pagesByPath.get(articlePath.toLowerCase());
+            if (!page) missing.push(articlePath);
+            return toChapter(page ? normalizeWikiPath(page.path) : articlePath, page);
+        });
+        return { chapters, missing };
+    }
+
+    const prefix = normalizeWikiPath(book.prefix).replace(/\/+$/, '');
+    const prefixLower = prefix.toLowerCase();
+    const chapters = pages
+        .map(page => normalizeWikiPath(page.path))
+        .filter(articlePath => {
+            const lower = articlePath.toLowerCase();
+            return lower === prefixLower || lower.startsWith(`${prefixLower}/`);
+        })
+        .sort((left, right) => {
+            if (left.toLowerCase() === prefixLower) return -1;
+            if (right.toLowerCase() === prefixLower) return 1;
+            return left.localeCompare(right);
+        })
+        .map(articlePath => toChapter(articlePath, pagesByPath.get(articlePath.toLowerCase())));
+    return { chapters, missing: [] };
+}
+
+async function runBook(config, pages, report) {
+    const { chapters, missing } = selectBookChapters(pages, config.book);
+    missing.forEach(articlePath => log('WARN', `Book page not found in Wiki.js, rendering it anyway: ${articlePath}`));
+    if (chapters.length === 0) {
+        throw new Error(`No pages found for book prefix ${config.book.prefix}`);
+    }
+
+    const bookTitle = config.book.title || chapters[0].title;
+    const pdfName = config.book.pdfName || `${sanitizePathSegment(bookTitle) || 'book'}.${config.outputFormat}`;
+    log('INFO', `Book "${bookTitle}" with ${chapters.length} chapter(s) -> ${pdfName}`);
+    chapters.forEach((chapter, index) => {
+        log('BOOK', `${index + 1}/${chapters.length} ${chapter.path} (${chapter.title})`);
+    });
+    const bookPage = { path: config.book.prefix || chapters[0].path, title: bookTitle, locale: chapters[0].locale };
+    if (config.dryRun) {
+        report.pages.push(buildReportEntry(bookPage, pdfName, { action: 'create', status: 'planned', reason: 'book' }));
+        return;
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfe-book-'));
+    const startedAt = Date.now();
+    let browser = null;
+    try {
+        browser = await launchBrowser({ headless: true });
+        const exporterConfig = normalizeExporterConfig({
+            ...config.fileConfig,
+            baseUrl: config.baseUrl,
+            articlePath: chapters[0].path,
+            outputDir: config.outputDir,
+            pdfName,
+            workDir,
+            apiKey: config.apiKey,
+            skipLogin: true,
+            headless: true,
+            timeout: config.timeout,
+            fontSize: config.fontSize,
+            footnoteFontSize: config.footnoteFontSize,
+            ...config.renderOverrides,
+            archiveFormats: config.archiveFormats,
+            outputFormat: config.outputFormat,
+            pageMeta: {
+                title: bookTitle,
+                path: config.book.prefix || chapters[0].path,
+                updatedAt: chapters
+                    .map(chapter => normalizeTimestamp(chapter.updatedAt))
+                    .filter(Boolean)
+                    .sort()
+                    .pop() || null,
+                locale: chapters[0].locale
+            }
+        });
+        const exporter = new WikiExporter(exporterConfig, {
+            browser,
+            logger: createPrefixedLogger('[book] ')
+        });
+        await exporter.init();
+        const pdfPath = await exporter.exportBook(chapters, {
+            title: bookTitle,
+            subtitle: config.book.subtitle
+        });
+        const elapsedMs = Date.now() - startedAt;
+        log('OK', `Book saved to ${pdfPath} in ${(elapsedMs / 1000).toFixed(1)}s`);
+        const { pdfPageCount } = await describePdfFile(pdfPath);
+        report.pages.push(buildReportEntry(bookPage, pdfName, {
+            action: 'create',
+            status: 'exported',
+            reason: 'book',
+            exitCode: 0,
+            attempts: 1,
+            durationMs: elapsedMs,
+            pdfPageCount
+        }));
+    } catch (error) {
+        report.pages.push(buildReportEntry(bookPage, pdfName, {
+            action: 'create',
+            status: 'failed',
+            reason: 'book',
+            exitCode: 1,
+            error: error.message,
+            attempts: 1,
+            durationMs: Date.now() - startedAt
+        }));
+        throw error;
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        if (browser) await browser.close().catch(() => null);
+    }
+}
+
+async function runInProcessExport(browser, options) {
+    const exporterConfig = normalizeExporterConfig({
+        ...options.exporterSettings,
+        baseUrl: options.baseUrl,
+        articlePath: options.articlePath,
+        outputDir: options.outputDir,
+        pdfName: options.pdfName,
+        workDir: options.workDir,
+        apiKey: options.apiKey,
+        skipLogin: true,
+        headless: true,
+        timeout: options.timeout,
+        fontSize: options.fontSize,
+        footnoteFontSize: options.footnoteFontSize,
+        ...options.renderOverrides,
+        pageMeta: options.pageMeta,
+        pageId: options.pageId || null,
+        dependencyFile: options.dependencyFile || null,
+        pdfLinkMap: options.pdfLinkMap || null,
+        archiveFormats: options.archiveFormats,
+        outputFormat: options.outputFormat
+    });
+
+    const exporter = new WikiExporter(exporterConfig, {
+        browser,
+        logger: createPrefixedLogger(`[single:${options.articlePath}] `)
+    });
+    try {
+        await exporter.init();
+        await exporter.export();
+        return { code: 0 };
+    } catch (error) {
+        return { code: 1, error };
+    }
+}
+
 function loadRuntimeConfig() {
     const defaults = {
         baseUrl: '',
@@ -478,14 +1538,34 @@ function loadRuntimeConfig() {
         timeout: 30000,
         fontSize: null,
         footnoteFontSize: null,
-        dryRun: false
+        dryRun: false,
+        isolate: false,
+        concurrency: 1,
+        prune: 'off',
+        force: false,
+        include: [],
+        exclude: [],
+        locales: [],
+        tags: [],
+        book: null,
+        linkToPdfs: false,
+        archiveFormats: [],
+        outputFormat: 'pdf',
+        full: false,
+        fullSyncIntervalHours: 24,
+        checkDependencies: true,
+        retries: 2,
+        retryDelayMs: 5000,
+        resume: false,
+        reportFile: null,
+        junitFile: null
     };
 
     let fileConfig = {};
     let configPath = null;
     if (argv.config && fs.existsSync(argv.config)) {
         configPath = path.resolve(argv.config);
-        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        fileConfig = resolveSettingPaths(JSON.parse(fs.readFileSync(configPath, 'utf8')), path.dirname(configPath));
     } else if (argv.config && argv.config !== './config.json') {
         throw new Error(`Config file not found: ${argv.config}`);
     }
@@ -503,7 +1583,65 @@ function loadRuntimeConfig() {
     }
     if (typeof argv.fontSize === 'number') merged.fontSize = argv.fontSize;
     if (typeof argv.footnoteFontSize === 'number') merged.footnoteFontSize = argv.footnoteFontSize;
+    // Cover/TOC and page layout settings from the config file pass through to Export.js
+    // as they are; only values given on the command line are forwarded as overrides.
+    merged.renderOverrides = {};
+    if (typeof argv.tocDepth === 'number') merged.renderOverrides.tocDepth = argv.tocDepth;
+    if (typeof argv.tocTitle === 'string') merged.renderOverrides.tocTitle = argv.tocTitle;
+    if (typeof argv.toc === 'boolean') merged.renderOverrides.tocEnabled = argv.toc;
+    if (typeof argv.cover === 'boolean') merged.renderOverrides.coverEnabled = argv.cover;
+    if (typeof argv.pageFormat === 'string') merged.renderOverrides.pageFormat = argv.pageFormat;
+    if (typeof argv.orientation === 'string') merged.renderOverrides.orientation = argv.orientation;
+    if (typeof argv.margins === 'string') merged.renderOverrides.margins = argv.margins;
+    if (typeof argv.logo === 'string') merged.renderOverrides.logoPath = argv.logo;
+    if (typeof argv.headerTemplate === 'string') merged.renderOverrides.headerTemplate = argv.headerTemplate;
+    if (typeof argv.footerTemplate === 'string') merged.renderOverrides.footerTemplate = argv.footerTemplate;
+    merged.renderOverrides = resolveSettingPaths(merged.renderOverrides, process.cwd());
+    if (typeof argv.contentSource === 'string') merged.renderOverrides.contentSource = argv.contentSource;
+    if (typeof argv.asOf === 'string') merged.renderOverrides.asOf = argv.asOf;
+    if (typeof argv.pdfa === 'boolean') merged.renderOverrides.pdfa = argv.pdfa;
+    if (typeof argv.tagged === 'boolean') merged.renderOverrides.tagged = argv.tagged;
+    const deny = Array.isArray(argv.deny) ? argv.deny.map(value => String(value).trim().toLowerCase()) : [];
+    if (argv.userPasswordEnv || argv.ownerPasswordEnv || deny.length > 0) {
+        // The command-line rule applies to every page and comes before the config file rules.
+        merged.renderOverrides.encryption = normalizeEncryptionRules([{
+            userPasswordEnv: argv.userPasswordEnv,
+            ownerPasswordEnv: argv.ownerPasswordEnv,
+            allowPrint: !deny.includes('print'),
+            allowCopy: !deny.includes('copy'),
+            allowEdit: !deny.includes('edit')
+        }, ...normalizeEncryptionRules(fileConfig.encryption)]);
+    }
     merged.dryRun = Boolean(argv.dryRun);
+    if (typeof argv.isolate === 'boolean') merged.isolate = argv.isolate;
+    if (typeof argv.linkPdfs === 'boolean') merged.linkToPdfs = argv.linkPdfs;
+    if (Array.isArray(argv.archive) && argv.archive.length > 0) merged.archiveFormats = argv.archive;
+    if (typeof argv.format === 'string') merged.outputFormat = argv.format;
+    if (typeof argv.concurrency === 'number') merged.concurrency = argv.concurrency;
+    if (typeof argv.prune === 'string') merged.prune = argv.prune;
+    if (typeof argv.force === 'boolean') merged.force = argv.force;
+    if (typeof argv.full === 'boolean') merged.full = argv.full;
+    if (typeof argv.checkDependencies === 'boolean') merged.checkDependencies = argv.checkDependencies;
+    if (typeof argv.retries === 'number') merged.retries = argv.retries;
+    if (typeof argv.retryDelay === 'number') merged.retryDelayMs = argv.retryDelay;
+    merged.resume = Boolean(argv.resume);
+    if (typeof argv.report === 'string' && argv.report) merged.reportFile = argv.report;
+    if (typeof argv.junit === 'string' && argv.junit) merged.junitFile = argv.junit;
+    if (typeof argv.fullSyncInterval === 'number') merged.fullSyncIntervalHours = argv.fullSyncInterval;
+    if (Array.isArray(argv.include) && argv.include.length > 0) {
+        merged.include = argv.include;
+        merged.only = [];
+    }
+    if (Array.isArray(argv.exclude) && argv.exclude.length > 0) merged.exclude = argv.exclude;
+    if (Array.isArray(argv.locale) && argv.locale.length > 0) merged.locales = argv.locale;
+    if (Array.isArray(argv.tag) && argv.tag.length > 0) merged.tags = argv.tag;
+
+    const book = { ...(merged.book || {}) };
+    if (argv.bookPrefix) book.prefix = argv.bookPrefix;
+    if (Array.isArray(argv.bookPages) && argv.bookPages.length > 0) book.pages = argv.bookPages;
+    if (argv.bookTitle) book.title = argv.bookTitle;
+    if (argv.bookSubtitle) book.subtitle = argv.bookSubtitle;
+    if (argv.bookName) book.pdfName = argv.bookName;
 
     if (!merged.baseUrl) throw new Error('Missing base URL. Use --base or config.baseUrl');
     if (!merged.apiKey) throw new Error('Missing API key. Use --apikey or config.apiKey');
@@ -514,46 +1652,463 @@ function loadRuntimeConfig() {
     merged.timeout = Number.isFinite(merged.timeout) && merged.timeout > 0 ? merged.timeout : defaults.timeout;
     merged.fontSize = parsePositiveNumber(merged.fontSize);
     merged.footnoteFontSize = parsePositiveNumber(merged.footnoteFontSize);
+    merged.isolate = Boolean(merged.isolate);
+    merged.force = Boolean(merged.force);
+    merged.full = Boolean(merged.full);
+    merged.checkDependencies = merged.checkDependencies !== false;
+    merged.reportFile = merged.reportFile ? path.resolve(String(merged.reportFile)) : null;
+    merged.junitFile = merged.junitFile ? path.resolve(String(merged.junitFile)) : null;
+    merged.retries = Number(merged.retries ?? defaults.retries);
+    if (!Number.isInteger(merged.retries) || merged.retries < 0) {
+        throw new Error(`Invalid retries "${merged.retries}". Use a whole number, 0 for no retries.`);
+    }
+    merged.retryDelayMs = Number(merged.retryDelayMs ?? defaults.retryDelayMs);
+    if (!Number.isFinite(merged.retryDelayMs) || merged.retryDelayMs < 0) {
+        throw new Error(`Invalid retry delay "${merged.retryDelayMs}". Use milliseconds.`);
+    }
+    merged.fullSyncIntervalHours = Number(merged.fullSyncIntervalHours ?? defaults.fullSyncIntervalHours);
+    if (!Number.isFinite(merged.fullSyncIntervalHours) || merged.fullSyncIntervalHours < 0) {
+        throw new Error(`Invalid full sync interval "${merged.fullSyncIntervalHours}". Use a number of hours, 0 for always full.`);
+    }
+    merged.linkToPdfs = Boolean(merged.linkToPdfs);
+    merged.archiveFormats = normalizeArchiveFormats(merged.archiveFormats);
+    merged.outputFormat = String(merged.outputFormat || defaults.outputFormat).trim().toLowerCase();
+    if (!OUTPUT_FORMATS.includes(merged.outputFormat)) {
+        throw new Error(`Invalid output format "${merged.outputFormat}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (merged.outputFormat === 'epub') {
+        // Offline archives and links to sibling PDFs only apply to PDF output.
+        merged.archiveFormats = [];
+        merged.linkToPdfs = false;
+    }
+    const contentSource = merged.renderOverrides.contentSource || fileConfig.contentSource || CONTENT_SOURCES[0];
+    if (!CONTENT_SOURCES.includes(String(contentSource).trim().toLowerCase())) {
+        throw new Error(`Invalid content source "${contentSource}". Use one of: ${CONTENT_SOURCES.join(', ')}`);
+    }
+    merged.contentSource = String(contentSource).trim().toLowerCase();
+    // Normalized once here so the fingerprint and every page use the same instant.
+    const rawAsOf = merged.renderOverrides.asOf ?? fileConfig.asOf;
+    merged.asOf = rawAsOf ? normalizeExporterConfig({ asOf: rawAsOf }).asOf : null;
+    if (merged.asOf) {
+        merged.renderOverrides.asOf = merged.asOf;
+        merged.contentSource = 'graphql';
+    }
+    merged.encryption = normalizeEncryptionRules(merged.renderOverrides.encryption ?? fileConfig.encryption);
+    if (merged.outputFormat === 'epub' && merged.encryption.length > 0) {
+        throw new Error('EPUB output cannot be encrypted; use the PDF format or drop the encryption settings.');
+    }
+    // Fail before any page is rendered when a password variable is missing.
+    merged.encryption.forEach(rule => resolveEncryptionPasswords(rule));
+    // "only" is the earlier name of "include".
+    merged.include = normalizeGlobList([...normalizeGlobList(merged.include), ...normalizeGlobList(merged.only)]);
+    delete merged.only;
+    merged.exclude = normalizeGlobList(merged.exclude);
+    merged.locales = normalizeGlobList(merged.locales);
+    merged.tags = normalizeGlobList(merged.tags);
+    merged.prune = String(merged.prune || defaults.prune).toLowerCase();
+    if (!PRUNE_MODES.has(merged.prune)) {
+        throw new Error(`Invalid prune mode "${merged.prune}". Use one of: ${Array.from(PRUNE_MODES).join(', ')}`);
+    }
+    merged.concurrency = Math.max(1, Math.floor(parsePositiveNumber(merged.concurrency) || defaults.concurrency));
+    merged.book = null;
+    const bookPages = normalizeGlobList(book.pages);
+    const bookPrefix = typeof book.prefix === 'string' ? book.prefix.trim() : '';
+    if (bookPrefix || bookPages.length > 0) {
+        let bookName = typeof book.pdfName === 'string' ? book.pdfName.trim() : '';
+        if (bookName && !/\.(pdf|epub)$/i.test(bookName)) bookName += `.${merged.outputFormat}`;
+        merged.book = {
+            prefix: bookPrefix,
+            pages: bookPages,
+            title: typeof book.title === 'string' ? book.title.trim() : '',
+            subtitle: typeof book.subtitle === 'string' ? book.subtitle.trim() : '',
+            pdfName: bookName
+        };
+    }
     merged.configPath = configPath;
+    merged.fileConfig = fileConfig;
+    merged.renderFingerprint = computeRenderFingerprint({
+        ...fileConfig,
+        fontSize: merged.fontSize,
+        footnoteFontSize: merged.footnoteFontSize,
+        ...merged.renderOverrides,
+        linkToPdfs: merged.linkToPdfs
+    });
 
     return merged;
 }
 
+// Machine-readable record of a run (--report, --junit). Every page gets one entry with
+// its action (create, update, skip, move, prune), status and reason.
+function createRunReport(config) {
+    return {
+        exporterVersion: EXPORTER_VERSION,
+        renderFingerprint: config.renderFingerprint,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        dryRun: config.dryRun,
+        outputDir: config.outputDir,
+        outputFormat: config.outputFormat,
+        sync: null,
+        summary: null,
+        error: null,
+        pages: []
+    };
+}
+
+function buildReportEntry(page, outputPath, fields) {
+    return {
+        path: page.path || null,
+        title: page.title || null,
+        locale: page.locale || null,
+        pageId: page.id || null,
+        outputPath,
+        action: fields.action,
+        status: fields.status,
+        reason: fields.reason || null,
+        exitCode: fields.exitCode ?? null,
+        error: fields.error || null,
+        attempts: fields.attempts ?? null,
+        durationMs: fields.durationMs ?? null,
+        pdfPageCount: fields.pdfPageCount ?? null
+    };
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+// One test case per page: failed exports fail, skipped and dry-run pages are skipped.
+// A run that stops before its summary adds an errored "export-all run" case.
+function buildJUnitReport(report) {
+    const seconds = ms => (Number.isFinite(ms) ? ms / 1000 : 0).toFixed(3);
+    const cases = report.pages.map(entry => {
+        const attributes = `classname="export-all.${escapeXml(entry.action)}" name="${escapeXml(entry.path || entry.outputPath)}" time="${seconds(entry.durationMs)}"`;
+        if (entry.status === 'failed') {
+            const message = entry.error || `exit code ${entry.exitCode}`;
+            return `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}" type="exit code ${escapeXml(entry.exitCode)}">${escapeXml(message)}</failure>\n    </testcase>`;
+        }
+        if (entry.status === 'skipped' || entry.status === 'planned') {
+            return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(entry.reason || entry.status)}"/>\n    </testcase>`;
+        }
+        return `    <testcase ${attributes}/>`;
+    });
+    if (report.error) {
+        cases.push(`    <testcase classname="export-all" name="export-all run" time="${seconds(report.durationMs)}">\n      <error message="${escapeXml(report.error)}">${escapeXml(report.error)}</error>\n    </testcase>`);
+    }
+    const failures = report.pages.filter(entry => entry.status === 'failed').length;
+    const skipped = report.pages.filter(entry => entry.status === 'skipped' || entry.status === 'planned').length;
+    const counts = `tests="${cases.length}" failures="${failures}" errors="${report.error ? 1 : 0}" skipped="${skipped}" time="${seconds(report.durationMs)}"`;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="export-all" ${counts}>`,
+        `  <testsuite name="export-all" ${counts} timestamp="${escapeXml(report.startedAt)}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+// Reports are also written for dry runs and failed runs; CI reads them either way.
+function writeRunReports(config, report) {
+    report.finishedAt = new Date().toISOString();
+    report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+    try {
+        if (config.reportFile) {
+            ensureDirectory(path.dirname(config.reportFile));
+            writeJsonAtomic(config.reportFile, report);
+            log('INFO', `Run report written to ${config.reportFile}`);
+        }
+        if (config.junitFile) {
+            ensureDirectory(path.dirname(config.junitFile));
+            fs.writeFileSync(config.junitFile, buildJUnitReport(report), 'utf8');
+            log('INFO', `JUnit report written to ${config.junitFile}`);
+        }
+    } catch (error) {
+        log('ERROR', `Failed to write the run report: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
 async function main() {
     const config = loadRuntimeConfig();
+    const report = createRunReport(config);
+    try {
+        await runSync(config, report);
+    } catch (error) {
+        report.error = error.message;
+        throw error;
+    } finally {
+        writeRunReports(config, report);
+    }
+}
+
+async function runSync(config, report) {
     ensureDirectory(config.outputDir);
 
     log('INFO', 'Starting export-all sync run.');
     log('INFO', `Base URL: ${config.baseUrl}`);
     log('INFO', `Output directory: ${config.outputDir}`);
     log('INFO', `API key: ${maskApiKey(config.apiKey)}`);
+    log('INFO', `Exporter version: ${EXPORTER_VERSION}, render fingerprint: ${config.renderFingerprint.slice(0, 12)}`);
+    if (config.force) {
+        log('INFO', 'Force mode is enabled. Selected pages are re-exported even when up to date.');
+    }
+    if (config.locales.length > 0) {
+        log('INFO', `Only pages in locale: ${config.locales.join(', ')}`);
+    }
+    if (config.include.length > 0) {
+        log('INFO', `Only pages matching: ${config.include.join(', ')}`);
+    }
+    if (config.exclude.length > 0) {
+        log('INFO', `Excluding pages matching: ${config.exclude.join(', ')}`);
+    }
+    if (config.tags.length > 0) {
+        log('INFO', `Only pages tagged: ${config.tags.join(', ')}`);
+    }
+    if (config.book) {
+        log('INFO', `Book mode: ${config.book.pages.length > 0 ? `${config.book.pages.length} listed page(s)` : `pages under ${config.book.prefix}`}`);
+    }
+    if (config.linkToPdfs && !config.book) {
+        log('INFO', 'Links between wiki pages are rewritten to the sibling PDFs.');
+    }
+    if (config.archiveFormats.length > 0) {
+        log('INFO', `Offline archives next to each PDF: ${config.archiveFormats.join(', ')}`);
+    }
+    if (config.outputFormat !== 'pdf') {
+        log('INFO', `Output format: ${config.outputFormat}`);
+    }
+    if (config.contentSource === 'graphql') {
+        log('INFO', 'Page content is fetched via GraphQL and printed without the wiki UI.');
+    }
+    if ((config.renderOverrides.pdfa ?? config.fileConfig.pdfa) === true && config.outputFormat === 'pdf') {
+        log('INFO', 'PDF/A-2b output is enabled.');
+    }
+    if ((config.renderOverrides.tagged ?? config.fileConfig.tagged) === true && config.outputFormat === 'pdf') {
+        log('INFO', 'Tagged (PDF/UA) output is enabled.');
+    }
+    if (config.encryption.length > 0) {
+        const scopes = config.encryption.map(rule => rule.path || 'all pages');
+        log('INFO', `PDF encryption rules: ${scopes.join(', ')} (offline archives are not written for encrypted pages)`);
+    }
+    if (config.asOf) {
+        log('INFO', `Snapshot as of ${config.asOf}: pages are rendered from the revision current at that time.`);
+    }
+    log('INFO', `Prune mode: ${config.prune}`);
+    log('INFO', `Render mode: ${config.isolate ? 'child process per page' : 'shared browser'}, concurrency: ${config.concurrency}`);
     if (config.dryRun) {
         log('INFO', 'Dry-run mode is enabled. No files will be written.');
     }
 
-    const pages = await fetchWikiPages(config.baseUrl, config.apiKey, config.timeout);
-    log('INFO', `Pages discovered: ${pages.length}`);
+    // Book mode replaces the per-page sync: the combined PDF is always rebuilt
+    // and is not tracked in the manifest.
+    if (config.book) {
+        let bookPages = await fetchWikiPages(config.baseUrl, config.apiKey, config.timeout);
+        log('INFO', `Pages discovered: ${bookPages.length}`);
+        assertPageTagsAvailable(config, bookPages);
+        if (config.asOf) {
+            bookPages = snapshotPagesAsOf(bookPages, config.asOf);
+            log('INFO', `Pages that existed at ${config.asOf}: ${bookPages.length}`);
+        }
+        if (config.book.pages.length === 0) {
+            // Chapters under a prefix follow the page filters; listed pages are taken as they are.
+            const pageFilter = createPageFilter(config);
+            bookPages = bookPages.filter(page => !pageFilter(page, normalizeWikiPath(page.path)));
+        }
+        await runBook(config, bookPages, report);
+        return;
+    }
+
+    const { manifest, migratedSidecars } = await loadManifest(config.outputDir);
+    const previousJournal = loadJournal(config.outputDir);
+    let journal = null;
+    if (config.resume) {
+        if (!previousJournal) {
+            log('INFO', 'No interrupted run to resume, starting a normal sync.');
+        } else if (JSON.stringify(previousJournal.settings) !== JSON.stringify(describeJournalSettings(config))) {
+            log('WARN', `Settings changed since the interrupted run of ${previousJournal.startedAt}, starting over.`);
+        } else {
+            journal = previousJournal;
+            const doneCount = Object.values(journal.pages).filter(entry => entry.status === 'done').length;
+            log('INFO', `Resuming the run started at ${journal.startedAt}: ${doneCount} page(s) already exported.`);
+        }
+    } else if (previousJournal) {
+        log('WARN', `The run started at ${previousJournal.startedAt} was interrupted and is not resumed (use --resume to continue it).`);
+    }
+    // Taken before the page list is fetched, so edits made during the run are seen next time.
+    // A resumed run keeps the start of the run it continues.
+    const syncStartedAt = journal ? new Date(journal.startedAt) : new Date();
+    if (!journal) {
+        journal = {
+            version: JOURNAL_VERSION,
+            startedAt: syncStartedAt.toISOString(),
+            settings: describeJournalSettings(config),
+            pages: {}
+        };
+    }
+    if (!config.dryRun) saveJournal(config.outputDir, journal);
+    const recordJournalPage = (job, status, attempts, errorMessage) => {
+        journal.pages[job.manifestKey] = {
+            status,
+            sourceUpdatedAt: job.syncState.sourceUpdatedAt,
+            attempts,
+            finishedAt: new Date().toISOString(),
+            ...(errorMessage ? { error: errorMessage } : {})
+        };
+        saveJournal(config.outputDir, journal);
+    };
+    const syncPlan = planSync(config, manifest, syncStartedAt.getTime());
+    let pages = null;
+    if (syncPlan.incremental) {
+        pages = await fetchChangedWikiPages(config.baseUrl, config.apiKey, config.timeout, syncPlan.since);
+        if (pages) {
+            log('INFO', `Incremental sync: ${pages.length} page(s) changed since ${syncPlan.since}. Use --full to reconcile every page.`);
+            assertPageTagsAvailable(config, pages);
+            if (config.checkDependencies) {
+                // Unchanged pages with recorded dependencies are checked as well.
+                const changedKeys = new Set(pages.map(page => toManifestKey(buildRelativePdfPath(page.path, config.outputFormat))));
+                const dependentPages = Object.entries(manifest.pages)
+                    .filter(([key, record]) => record.dependencies && record.pagePath && !changedKeys.has(key)
+                        && path.posix.extname(key).toLowerCase() === `.${config.outputFormat}`)
+                    .map(([, record]) => ({
+                        id: record.pageId,
+                        path: record.pagePath,
+                        title: record.pageTitle || '',
+                        updatedAt: record.sourceUpdatedAt,
+                        locale: record.pageLocale,
+                        tags: record.pageTags || null
+                    }));
+                if (dependentPages.length > 0) {
+                    log('INFO', `Checking the dependencies of ${dependentPages.length} unchanged page(s).`);
+                    pages = [...pages, ...dependentPages].sort((a, b) => a.path.localeCompare(b.path));
+                }
+            }
+        } else {
+            log('WARN', 'Incremental sync is not possible, falling back to a full sync.');
+            syncPlan.incremental = false;
+            syncPlan.reason = 'incremental_list_failed';
+        }
+    }
+    report.sync = syncPlan.incremental
+        ? { mode: 'incremental', since: syncPlan.since }
+        : { mode: 'full', reason: syncPlan.reason };
+    if (!pages) {
+        log('INFO', `Full sync (${syncPlan.reason}).`);
+        pages = await fetchWikiPages(config.baseUrl, config.apiKey, config.timeout);
+        log('INFO', `Pages discovered: ${pages.length}`);
+        assertPageTagsAvailable(config, pages);
+        if (config.asOf) {
+            pages = snapshotPagesAsOf(pages, config.asOf);
+            log('INFO', `Pages that existed at ${config.asOf}: ${pages.length}`);
+        }
+    }
 
     const stats = {
         total: pages.length,
         skipped: 0,
         created: 0,
         updated: 0,
-        failed: 0
+        failed: 0,
+        moved: 0,
+        pruned: 0
     };
+    const recordPage = (page, manifestKey, fields) => {
+        const record = manifest.pages[manifestKey];
+        report.pages.push(buildReportEntry(page, manifestKey, {
+            pdfPageCount: record ? record.pdfPageCount : null,
+            ...fields
+        }));
+    };
+
+    if (migratedSidecars.length > 0) {
+        log('INFO', `Migrating ${migratedSidecars.length} .meta.json file(s) into ${MANIFEST_FILE_NAME}.`);
+        if (!config.dryRun) {
+            saveManifest(config.outputDir, manifest);
+            migratedSidecars.forEach(metaPath => {
+                if (fs.existsSync(metaPath)) fs.unlinkSync(metaPath);
+            });
+        }
+    }
 
+    // Removed and renamed pages only show up in the full page list.
+    if (!syncPlan.incremental) {
+        reconcileRemovedPages(pages, config, stats, manifest, (record, key, fields) => recordPage({
+            id: record.pageId,
+            path: record.pagePath,
+            title: record.pageTitle,
+            locale: record.pageLocale
+        }, key, fields));
+        if (!config.dryRun && config.prune !== 'off' && config.prune !== 'report') {
+            saveManifest(config.outputDir, manifest);
+        }
+    }
+
+    const pageFilter = createPageFilter(config);
+    const findChangedDependency = config.checkDependencies ? createDependencyChecker(config, pages) : null;
+    // Unchanged pages are not in an incremental list; the manifest knows where their PDFs are.
+    // Only pages that pass the filters get a PDF, links to the others keep pointing to the wiki.
+    const linkedPages = (syncPlan.incremental
+        ? [
+            ...Object.values(manifest.pages)
+                .filter(record => record.pagePath)
+                .map(record => ({ path: record.pagePath, locale: record.pageLocale, tags: record.pageTags || null })),
+            ...pages
+        ]
+        : pages
+    ).filter(page => !pageFilter(page, normalizeWikiPath(page.path)));
+    const pdfLinkTargets = config.linkToPdfs ? buildPdfLinkTargets(linkedPages) : null;
+
+    // First pass: decide what to do with every page. This is cheap (stat + meta read)
+    // and keeps the SKIP/CREATE/UPDATE log lines in page order even with concurrency.
+    const jobs = [];
     for (let index = 0; index < pages.length; index++) {
         const page = pages[index];
         const articlePath = normalizeWikiPath(page.path);
-        const relativePdfPath = buildRelativePdfPath(articlePath);
+        const relativePdfPath = buildRelativePdfPath(articlePath, config.outputFormat);
         const absolutePdfPath = path.join(config.outputDir, relativePdfPath);
-        const pageOutputDir = path.dirname(absolutePdfPath);
-        const pdfName = path.basename(absolutePdfPath);
-        const metaPath = `${absolutePdfPath}.meta.json`;
+        const manifestKey = toManifestKey(relativePdfPath);
         const pageUrl = `${config.baseUrl}${articlePath}`;
         const itemLabel = `${index + 1}/${pages.length} ${articlePath}`;
 
-        const syncState = evaluateSyncState(page, absolutePdfPath, metaPath);
+        const filteredOutBy = pageFilter(page, articlePath);
+        if (filteredOutBy) {
+            stats.skipped += 1;
+            log('SKIP', `${itemLabel} (${filteredOutBy})`);
+            recordPage(page, manifestKey, { action: 'skip', status: 'skipped', reason: filteredOutBy });
+            continue;
+        }
+
+        const journalEntry = journal.pages[manifestKey];
+        if (journalEntry && journalEntry.status === 'done'
+            && journalEntry.sourceUpdatedAt === normalizeTimestamp(page.updatedAt)) {
+            stats.skipped += 1;
+            log('SKIP', `${itemLabel} (done_in_interrupted_run)`);
+            recordPage(page, manifestKey, { action: 'skip', status: 'skipped', reason: 'done_in_interrupted_run' });
+            continue;
+        }
+
+        let syncState = evaluateSyncState(page, absolutePdfPath, manifest.pages[manifestKey], {
+            force: config.force,
+            renderFingerprint: config.renderFingerprint,
+            archiveFormats: archiveFormatsForPage(config, articlePath, page.locale)
+        });
+        if (findChangedDependency && !syncState.shouldExport && syncState.reason === 'meta_matches_updatedAt') {
+            const changedDependency = await findChangedDependency(manifest.pages[manifestKey]);
+            if (changedDependency) {
+                syncState = {
+                    shouldExport: true,
+                    action: 'update',
+                    reason: `dependency_changed: ${changedDependency}`,
+                    sourceUpdatedAt: syncState.sourceUpdatedAt
+                };
+            }
+        }
         if (!syncState.shouldExport) {
             stats.skipped += 1;
             log('SKIP', `${itemLabel} (${syncState.reason})`);
@@ -561,10 +2116,14 @@ async function main() {
             if (!config.dryRun && syncState.writeMeta) {
                 const stat = fs.statSync(absolutePdfPath);
                 const generatedAt = new Date(stat.mtimeMs).toISOString();
-                const metaRecord = buildMetaRecord(page, pageUrl, syncState.sourceUpdatedAt, generatedAt);
-                writeJson(metaPath, metaRecord);
+                // The settings this PDF was rendered with are unknown: no fingerprint, so the
+                // next run that checks the page rebuilds it (render_fingerprint_missing).
+                const metaRecord = buildMetaRecord(page, pageUrl, syncState.sourceUpdatedAt, generatedAt, null);
+                manifest.pages[manifestKey] = await buildManifestEntry(metaRecord, config.outputDir, manifestKey);
+                saveManifest(config.outputDir, manifest);
                 log('INFO', `${itemLabel} metadata refreshed.`);
             }
+            recordPage(page, manifestKey, { action: 'skip', status: 'skipped', reason: syncState.reason });
             continue;
         }
 
@@ -574,46 +2133,192 @@ async function main() {
         if (config.dryRun) {
             if (syncState.action === 'create') stats.created += 1;
             if (syncState.action === 'update') stats.updated += 1;
+            recordPage(page, manifestKey, { action: syncState.action, status: 'planned', reason: syncState.reason });
             continue;
         }
 
+        jobs.push({
+            page,
+            articlePath,
+            relativePdfPath,
+            absolutePdfPath,
+            manifestKey,
+            pageUrl,
+            itemLabel,
+            syncState
+        });
+    }
+
+    if (jobs.length > 0) {
+        log('INFO', `Exporting ${jobs.length} page(s) with concurrency ${Math.min(config.concurrency, jobs.length)}.`);
+    }
+
+    // One Chromium for the whole run; relaunched lazily if it crashes mid-sync.
+    // Workers share the launch promise so parallel pages never start two browsers.
+    let sharedBrowserPromise = null;
+    const ensureSharedBrowser = async () => {
+        const current = sharedBrowserPromise;
+        if (current) {
+            const browser = await current.catch(() => null);
+            if (browser && browser.connected) return browser;
+            if (sharedBrowserPromise === current) {
+                log('WARN', 'Shared browser disconnected, relaunching Chromium.');
+                sharedBrowserPromise = null;
+            }
+        }
+        if (!sharedBrowserPromise) {
+            sharedBrowserPromise = launchBrowser({ headless: true });
+        }
+        return sharedBrowserPromise;
+    };
+
+    // One attempt renders the page into a fresh temporary folder.
+    const attemptExport = async (job) => {
+        const pageOutputDir = path.dirname(job.absolutePdfPath);
+        const pdfName = path.basename(job.absolutePdfPath);
         ensureDirectory(pageOutputDir);
-        const startedAt = Date.now();
-        const result = await runSingleExport({
+        // Sibling pages share pageOutputDir, so temporary HTML/resources get a private folder.
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfe-export-'));
+
+        const exportOptions = {
             configPath: config.configPath,
+            exporterSettings: config.fileConfig,
             baseUrl: config.baseUrl,
-            articlePath,
+            articlePath: job.articlePath,
             outputDir: pageOutputDir,
             pdfName,
+            workDir,
+            dependencyFile: path.join(workDir, 'dependencies.json'),
             apiKey: config.apiKey,
             timeout: config.timeout,
             fontSize: config.fontSize,
-            footnoteFontSize: config.footnoteFontSize
-        });
+            footnoteFontSize: config.footnoteFontSize,
+            renderOverrides: config.renderOverrides,
+            archiveFormats: archiveFormatsForPage(config, job.articlePath, job.page.locale),
+            outputFormat: config.outputFormat,
+            pageMeta: {
+                title: job.page.title || '',
+                path: job.articlePath,
+                updatedAt: job.page.updatedAt || null,
+                locale: job.page.locale || ''
+            },
+            pageId: isStablePageId(job.page.id) ? job.page.id : null,
+            pdfLinkMap: pdfLinkTargets
+                ? { currentPdf: job.manifestKey, targets: pdfLinkTargets }
+                : null
+        };
+        let result;
+        let dependencies = null;
+        try {
+            if (config.isolate) {
+                result = await runSingleExport(exportOptions);
+            } else {
+                result = await runInProcessExport(await ensureSharedBrowser(), exportOptions);
+            }
+            dependencies = readDependencyFile(exportOptions.dependencyFile);
+        } catch (error) {
+            result = { code: 1, error };
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+        if (result.code === 0 && !fs.existsSync(job.absolutePdfPath)) {
+            result = { code: 1, error: new Error(`expected PDF not found at ${job.absolutePdfPath}`) };
+        }
+        return { result, dependencies };
+    };
 
-        if (result.code !== 0) {
-            stats.failed += 1;
-            log('ERROR', `${itemLabel} export failed with exit code ${result.code}`);
-            continue;
+    const exportJob = async (job) => {
+        const startedAt = Date.now();
+        const maxAttempts = config.retries + 1;
+        let attempt = 0;
+        let outcome;
+        for (;;) {
+            attempt += 1;
+            outcome = await attemptExport(job);
+            if (outcome.result.code === 0 || attempt >= maxAttempts) break;
+            const delayMs = config.retryDelayMs * 2 ** (attempt - 1);
+            const errorText = outcome.result.error ? `: ${outcome.result.error.message}` : '';
+            log('WARN', `${job.itemLabel} attempt ${attempt}/${maxAttempts} failed${errorText}; retrying in ${(delayMs / 1000).toFixed(1)}s`);
+            await sleep(delayMs);
         }
+        const { result, dependencies } = outcome;
 
-        if (!fs.existsSync(absolutePdfPath)) {
+        if (result.code !== 0) {
             stats.failed += 1;
-            log('ERROR', `${itemLabel} exported but expected PDF not found at ${absolutePdfPath}`);
-            continue;
+            const errorText = result.error ? `: ${result.error.message}` : '';
+            log('ERROR', `${job.itemLabel} export failed with exit code ${result.code}${errorText}${attempt > 1 ? ` (after ${attempt} attempts)` : ''}`);
+            recordJournalPage(job, 'failed', attempt, result.error ? result.error.message : `exit code ${result.code}`);
+            recordPage(job.page, job.manifestKey, {
+                action: job.syncState.action,
+                status: 'failed',
+                reason: job.syncState.reason,
+                exitCode: result.code,
+                error: result.error ? result.error.message : null,
+                attempts: attempt,
+                durationMs: Date.now() - startedAt,
+                pdfPageCount: null
+            });
+            return;
         }
 
-        const metaRecord = buildMetaRecord(page, pageUrl, syncState.sourceUpdatedAt, new Date().toISOString());
-        writeJson(metaPath, metaRecord);
+        const metaRecord = buildMetaRecord(
+            job.page,
+            job.pageUrl,
+            job.syncState.sourceUpdatedAt,
+            new Date().toISOString(),
+            config.renderFingerprint,
+            dependencies
+        );
+        manifest.pages[job.manifestKey] = await buildManifestEntry(metaRecord, config.outputDir, job.manifestKey);
+        saveManifest(config.outputDir, manifest);
+
+        recordJournalPage(job, 'done', attempt, null);
 
-        if (syncState.action === 'create') stats.created += 1;
-        if (syncState.action === 'update') stats.updated += 1;
+        if (job.syncState.action === 'create') stats.created += 1;
+        if (job.syncState.action === 'update') stats.updated += 1;
 
         const elapsedMs = Date.now() - startedAt;
-        log('OK', `${itemLabel} completed in ${(elapsedMs / 1000).toFixed(1)}s`);
+        log('OK', `${job.itemLabel} completed in ${(elapsedMs / 1000).toFixed(1)}s`);
+        recordPage(job.page, job.manifestKey, {
+            action: job.syncState.action,
+            status: 'exported',
+            reason: job.syncState.reason,
+            exitCode: 0,
+            attempts: attempt,
+            durationMs: elapsedMs
+        });
+    };
+
+    try {
+        await runWithConcurrency(jobs, config.concurrency, exportJob);
+    } finally {
+        if (sharedBrowserPromise) {
+            const browser = await sharedBrowserPromise.catch(() => null);
+            if (browser) await browser.close().catch(() => null);
+        }
     }
 
-    log('INFO', `Summary: total=${stats.total}, created=${stats.created}, updated=${stats.updated}, skipped=${stats.skipped}, failed=${stats.failed}`);
+    // The next run continues from here only when every page of this one is in the output:
+    // after failures the pages left out would otherwise be missed. The cursor is only used
+    // by runs with the same page filters.
+    if (!config.dryRun && stats.failed === 0 && !config.asOf) {
+        const previous = manifest.sync || {};
+        manifest.sync = {
+            lastSyncAt: syncStartedAt.toISOString(),
+            lastFullSyncAt: syncPlan.incremental ? previous.lastFullSyncAt : syncStartedAt.toISOString(),
+            exporterVersion: EXPORTER_VERSION,
+            renderFingerprint: config.renderFingerprint,
+            outputFormat: config.outputFormat,
+            archiveFormats: config.archiveFormats,
+            filters: describePageFilters(config)
+        };
+        saveManifest(config.outputDir, manifest);
+    }
+
+    if (!config.dryRun) removeJournal(config.outputDir);
+
+    report.summary = { ...stats };
+    log('INFO', `Summary: total=${stats.total}, created=${stats.created}, updated=${stats.updated}, skipped=${stats.skipped}, failed=${stats.failed}, moved=${stats.moved}, pruned=${stats.pruned}`);
     if (stats.failed > 0) {
         process.exitCode = 1;
     }